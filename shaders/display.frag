@@ -0,0 +1,26 @@
+#version 300 es
+precision highp float;
+
+// display.frag: puts the accumulated average of the ray traced frames on screen,
+// drawn with the same full-screen triangle (test.vert), see render.js
+// The image may be smaller than the canvas (dynamic resolution), it is upscaled bilinearly
+// by hand since float textures need not support linear filtering.
+uniform sampler2D uImage;     // render size
+uniform vec2      uResolution; // canvas size
+
+out vec4 outColor;
+
+vec3 fetch(ivec2 p, ivec2 size) {
+    return texelFetch(uImage, clamp(p, ivec2(0), size - 1), 0).rgb;
+}
+
+void main() {
+    ivec2 size = textureSize(uImage, 0);
+    // position in texels, texel centers at .5
+    vec2 p = gl_FragCoord.xy / uResolution * vec2(size) - 0.5;
+    ivec2 p0 = ivec2(floor(p));
+    vec2 f = p - floor(p);
+    vec3 bottom = mix(fetch(p0, size), fetch(p0 + ivec2(1, 0), size), f.x);
+    vec3 top = mix(fetch(p0 + ivec2(0, 1), size), fetch(p0 + ivec2(1, 1), size), f.x);
+    outColor = vec4(mix(bottom, top, f.y), 1.0);
+}
@@ -10,6 +10,8 @@ uniform vec2  uResolution;
 // Camera data
 uniform vec3 uCameraPos;
 uniform mat4 uCamWorldMatrix;
+uniform float uAperture;    // lens diameter, 0 = pinhole (everything sharp)
+uniform float uFocalLength; // distance from the camera to the plane in focus
 
 // Global material coefficients
 uniform float uGlobalKa;
@@ -23,7 +25,19 @@ uniform int       uObjectCount;     // number of objects (rows in texture)
 uniform int       uFloatsPerRow; // floats per row (32-bit floats)
 uniform int       uSceneTexWidth;   // texture width = ceil(floatsPerObject/4)
 uniform int       uSceneTexHeight;  // texture height = objectCount
-uniform sampler2D uTextures[8]; // up to 8 distince textures if needed 
+uniform highp sampler2DArray uTextures; // every scene texture, one layer each, stretched to the layer size
+
+// Mesh triangles stored in a 2D RGBA32F texture, 8 texels per triangle
+// (v0, v1, v2, n0, n1, n2, uv0 uv1, uv2), see SceneFlattener.setMeshes()
+uniform sampler2D uMeshBuffer;
+uniform int       uMeshTexWidth;    // texels per row, of uMeshBVHBuffer too
+// One BVH per mesh over its triangles, laid out like uBVHBuffer with leaves pointing at triangles
+uniform sampler2D uMeshBVHBuffer;
+
+// BVH over the object rows, 2 texels per node (min.xyz, left) (max.xyz, right), see bvh.js
+uniform sampler2D uBVHBuffer;
+uniform int       uBVHTexWidth;     // texels per row
+uniform int       uBVHNodeCount;
 
 // Light data arrays
 // NOTE: not all fields are useful
@@ -37,22 +51,57 @@ uniform float uLightPenumbra[16];
 uniform float uLightAngle[16];
 uniform float uLightWidth[16];
 uniform float uLightHeight[16];
+uniform vec3  uLightFunction[16]; // constant, linear, quadratic attenuation
 
 uniform int uMaxDepth; // maximum recursion depth for reflections 
+uniform int uAreaLightSamples; // shadow rays per area light (and spot light with a radius)
+
+// Objects with an emissive color also light the scene, see SceneFlattener.getEmissiveObjects()
+uniform int uEmissiveCount;
+uniform int uEmissiveObjects[16]; // object rows
+uniform int uFrameIndex; // changes every frame, seeds the random number generator
+
+// Progressive accumulation: every frame is averaged into the previous ones while nothing changes
+uniform vec2      uJitter;      // subpixel offset of this frame's rays, in pixels
+uniform sampler2D uAccumBuffer; // average of the previous frames, one texel per pixel
+uniform int       uSampleCount; // frames in uAccumBuffer, 0 starts a new average
 
 // constants
 const float EPSILON = 1e-3;
 const float PI = 3.141592653589793;
 
 const int MAX_LIGHTS = 16;  // soft upper limit for number of lightPos
-const int MAX_OBJECTS = 256; // soft upper limit for number of objects
+const int MAX_EMISSIVE_OBJECTS = 16; // soft upper limit for uEmissiveCount
+const int MAX_BVH_STEPS = 4096; // soft upper limit for BVH nodes visited per ray
+const int BVH_STACK_SIZE = 32; // traversal stack, enough for a median split tree of 2^31 objects
 const int MAX_DEPTH = 8; // soft upper limit for number of ray trace recursions
+const int MAX_LIGHT_SAMPLES = 64; // soft upper limit for uAreaLightSamples
+const int RAY_STACK_SIZE = 16; // pending reflection / refraction rays per pixel
+const int MAX_SHADOW_HITS = 8; // transparent surfaces a shadow ray may pass through
+const float MIN_RAY_WEIGHT = 0.01; // rays contributing less than this are not traced
+const float BUMP_DEPTH = 2.0; // height map slope for a black to white step between neighboring texels
 
 // TODO: This should be your output color, instead of gl_FragColor
 out vec4 outColor;
 
 /*********** Helper Functions **********/
 
+// ----------------------------------------------
+// random numbers: one PCG hash stream per pixel and frame
+uint gRngState;
+
+void initRandom() {
+    gRngState = uint(gl_FragCoord.x) * 1973u + uint(gl_FragCoord.y) * 9277u + uint(uFrameIndex) * 26699u;
+}
+
+// random01: uniform float in [0, 1)
+float random01() {
+    gRngState = gRngState * 747796405u + 2891336453u;
+    uint word = ((gRngState >> ((gRngState >> 28u) + 4u)) ^ gRngState) * 277803737u;
+    word = (word >> 22u) ^ word;
+    return float(word >> 8u) / 16777216.0; // 24 bits so the result never rounds up to 1.0
+}
+
 // ----------------------------------------------
 // fetchFloat: retrieve a single float from uSceneBuffer
 // idx = index of that float within the object's flattened data
@@ -104,6 +153,13 @@ struct Material {
     vec2 repeatUV;
     float textureIndex;
     vec3 reflectiveColor;
+    vec3 transparentColor;
+    vec3 emissiveColor;
+    float useBump;
+    vec2 bumpRepeatUV;
+    float bumpIndex;
+    float bumpIsNormalMap; // 1 = tangent space normal map, 0 = height map
+    float blend;           // 0 = diffuse color only, 1 = texture color only
 };
 
 // fetchMaterial: reconstruct the material attributes for object idx
@@ -139,6 +195,30 @@ Material fetchMaterial(int idx) {
       fetchFloat(base + 17, idx)
     );
 
+    // transparent color follows the mesh block: skip material (18) + mesh (9)
+    int transparentBase = base + 18 + 9;
+    mat.transparentColor = vec3(
+      fetchFloat(transparentBase + 0, idx),
+      fetchFloat(transparentBase + 1, idx),
+      fetchFloat(transparentBase + 2, idx)
+    );
+
+    // emissive color follows the transparent color
+    mat.emissiveColor = vec3(
+      fetchFloat(transparentBase + 3, idx),
+      fetchFloat(transparentBase + 4, idx),
+      fetchFloat(transparentBase + 5, idx)
+    );
+
+    // bump map follows the emissive color
+    mat.useBump         = fetchFloat(transparentBase + 6, idx);
+    mat.bumpRepeatUV.x  = fetchFloat(transparentBase + 7, idx);
+    mat.bumpRepeatUV.y  = fetchFloat(transparentBase + 8, idx);
+    mat.bumpIndex       = fetchFloat(transparentBase + 9, idx);
+    mat.bumpIsNormalMap = fetchFloat(transparentBase + 10, idx);
+
+    mat.blend           = fetchFloat(transparentBase + 11, idx);
+
     return mat;
 }
 
@@ -404,6 +484,131 @@ vec3 normalCone(vec3 hitPos) {
     return normal / len;
 }
 
+// ----------------------------------------------
+// fetchMeshTexel: retrieve texel i of the mesh buffer (row-wrapped linear index)
+vec4 fetchMeshTexel(int i) {
+    return texelFetch(uMeshBuffer, ivec2(i % uMeshTexWidth, i / uMeshTexWidth), 0);
+}
+
+// ----------------------------------------------
+// intersectTriangle: Moller-Trumbore, returns t and the barycentrics of v1/v2
+float intersectTriangle(vec3 ro, vec3 rd, vec3 v0, vec3 v1, vec3 v2, out vec2 bary) {
+    vec3 e1 = v1 - v0;
+    vec3 e2 = v2 - v0;
+    vec3 p = cross(rd, e2);
+    float det = dot(e1, p);
+    if (abs(det) < 1e-8) return -1.0; // ray parallel to triangle
+
+    float invDet = 1.0 / det;
+    vec3 s = ro - v0;
+    float u = dot(s, p) * invDet;
+    if (u < 0.0 || u > 1.0) return -1.0;
+
+    vec3 q = cross(s, e1);
+    float v = dot(rd, q) * invDet;
+    if (v < 0.0 || u + v > 1.0) return -1.0;
+
+    float t = dot(e2, q) * invDet;
+    bary = vec2(u, v);
+    return (t > EPSILON) ? t : -1.0;
+}
+
+// ----------------------------------------------
+// fetchMeshBVHTexel: retrieve texel i of the mesh BVH buffer
+vec4 fetchMeshBVHTexel(int i) {
+    return texelFetch(uMeshBVHBuffer, ivec2(i % uMeshTexWidth, i / uMeshTexWidth), 0);
+}
+
+// intersectAABB: entry distance of a ray into a box, -1 on a miss
+float intersectAABB(vec3 ro, vec3 invRd, vec3 bmin, vec3 bmax) {
+    vec3 tA = (bmin - ro) * invRd;
+    vec3 tB = (bmax - ro) * invRd;
+    vec3 tLo = min(tA, tB);
+    vec3 tHi = max(tA, tB);
+    float tNear = max(max(tLo.x, tLo.y), tLo.z);
+    float tFar  = min(min(tHi.x, tHi.y), tHi.z);
+    if (tFar < 0.0 || tNear > tFar) return -1.0;
+    return max(tNear, 0.0);
+}
+
+// ----------------------------------------------
+// intersectMesh: ray-mesh intersection in object space for the mesh of object row
+// walks the mesh's BVH like intersectScene() walks the scene's
+// normal and uv of the closest triangle are interpolated from its vertices, triangle is its index
+float intersectMesh(vec3 ro, vec3 rd, int row, out vec3 normal, out vec2 uv, out int triangle) {
+    // mesh block follows type (1) + matrix (16) + material (18)
+    int base = 1 + 16 + 18;
+    int root = int(fetchFloat(base + 0, row));
+    int count = int(fetchFloat(base + 2, row));
+    if (count <= 0) return -1.0;
+
+    vec3 safeRd = mix(rd, vec3(1e-8), lessThan(abs(rd), vec3(1e-8)));
+    vec3 invRd = 1.0 / safeRd;
+    // boxes grow by EPSILON so flat meshes (zero thickness boxes) are still hit
+    vec3 pad = vec3(EPSILON);
+
+    float tMin = 1e20;
+    int hitTri = -1;
+    vec2 hitBary = vec2(0.0);
+
+    int stack[BVH_STACK_SIZE];
+    int sp = 0;
+    stack[sp++] = root;
+
+    for (int step = 0; step < MAX_BVH_STEPS; ++step) {
+        if (sp <= 0) break;
+        int node = stack[--sp];
+
+        vec4 lo = fetchMeshBVHTexel(node * 2);
+        vec4 hi = fetchMeshBVHTexel(node * 2 + 1);
+        float tBox = intersectAABB(ro, invRd, lo.xyz - pad, hi.xyz + pad);
+        if (tBox < 0.0 || tBox > tMin) continue;
+
+        if (lo.w < 0.0) {
+            // leaf: one triangle
+            int tri = int(hi.w);
+            int texel = tri * 8;
+            vec2 bary;
+            float t = intersectTriangle(ro, rd,
+                fetchMeshTexel(texel + 0).xyz,
+                fetchMeshTexel(texel + 1).xyz,
+                fetchMeshTexel(texel + 2).xyz,
+                bary);
+            if (t > EPSILON && t < tMin) {
+                tMin = t;
+                hitTri = tri;
+                hitBary = bary;
+            }
+        }
+        else if (sp + 2 <= BVH_STACK_SIZE) {
+            // visit the nearer child first
+            int left = int(lo.w);
+            int right = int(hi.w);
+            float tLeft = intersectAABB(ro, invRd, fetchMeshBVHTexel(left * 2).xyz - pad, fetchMeshBVHTexel(left * 2 + 1).xyz + pad);
+            float tRight = intersectAABB(ro, invRd, fetchMeshBVHTexel(right * 2).xyz - pad, fetchMeshBVHTexel(right * 2 + 1).xyz + pad);
+            if (tLeft <= tRight) {
+                stack[sp++] = right;
+                stack[sp++] = left;
+            } else {
+                stack[sp++] = left;
+                stack[sp++] = right;
+            }
+        }
+    }
+    if (hitTri < 0) return -1.0;
+
+    int texel = hitTri * 8;
+    float w = 1.0 - hitBary.x - hitBary.y;
+    normal = normalize(w * fetchMeshTexel(texel + 3).xyz
+        + hitBary.x * fetchMeshTexel(texel + 4).xyz
+        + hitBary.y * fetchMeshTexel(texel + 5).xyz);
+    vec4 uv01 = fetchMeshTexel(texel + 6);
+    vec2 uv2 = fetchMeshTexel(texel + 7).xy;
+    uv = w * uv01.xy + hitBary.x * uv01.zw + hitBary.y * uv2;
+    triangle = hitTri;
+    return tMin;
+}
+
 vec2 getTexCoordSphere(vec3 hit, vec2 repeatUV) {
     vec3 n = normalize(hit);
 
@@ -443,6 +648,11 @@ vec2 getTexCoordCylinder(vec3 hit, vec2 repeatUV) {
    return vec2(-u, -v) * repeatUV;
 }
 
+vec2 getTexCoordMesh(vec2 meshUV, vec2 repeatUV) {
+    // OBJ/PLY v runs bottom to top, image rows run top to bottom
+    return vec2(meshUV.x, 1.0 - meshUV.y) * repeatUV;
+}
+
 vec2 getTexCoordCone(vec3 hit, vec2 repeatUV) {
     // u wraps around like cylinder
     float u = 0.5 + atan(hit.z, hit.x) / (2.0 * PI);
@@ -453,12 +663,41 @@ vec2 getTexCoordCone(vec3 hit, vec2 repeatUV) {
     return vec2(-u, -v) * repeatUV;
 }
 
+// getTexCoord: texture coordinate of an object space hit point for any primitive type
+vec2 getTexCoord(float objectType, vec3 hitObj, vec2 meshUV, vec2 repeatUV) {
+    if (objectType == 0.0) { // CUBE
+        return getTexCoordCube(hitObj, normalCube(hitObj), repeatUV);
+    } else if (objectType == 1.0) { // CYLINDER
+        return getTexCoordCylinder(hitObj, repeatUV);
+    } else if (objectType == 2.0) { // CONE
+        return getTexCoordCone(hitObj, repeatUV);
+    } else if (objectType == 3.0) { // SPHERE
+        return getTexCoordSphere(hitObj, repeatUV);
+    } else if (objectType == 7.0) { // MESH
+        return getTexCoordMesh(meshUV, repeatUV);
+    }
+    return vec2(0.0);
+}
+
+// sampleTexture: color of scene texture index at uv, repeating (the array wraps by itself)
+// always level 0: screen space derivatives mean nothing for bounced rays and jump where uv wraps
+vec3 sampleTexture(int index, vec2 uv) {
+    int layer = clamp(index, 0, textureSize(uTextures, 0).z - 1);
+    return textureLod(uTextures, vec3(uv, float(layer)), 0.0).rgb;
+}
+
+// textureTexelSize: size of one texel of the scene textures in uv units
+// (of the layers, which every texture is stretched to, so steps land on the texels sampled)
+vec2 textureTexelSize() {
+    return 1.0 / vec2(textureSize(uTextures, 0).xy);
+}
+
 
 // ----------------------------------------------
 // getWorldRayDir: reconstruct world-space ray direction using uCamWorldMatrix
 vec3 getWorldRayDir() {
     // get pixel in the [0, 1] range
-    vec2 uv  = gl_FragCoord.xy / uResolution;
+    vec2 uv  = (gl_FragCoord.xy + uJitter) / uResolution;
 
     vec2 ndc = uv * 2.0 - 1.0;
     vec4 camSpacePos = vec4(ndc, -1.0, 1.0); // assuming near plane at z = -1
@@ -469,157 +708,478 @@ vec3 getWorldRayDir() {
     return dir;
 }
 
-// to help test occlusion (shadow)
-bool isInShadow(vec3 shadowOrigin, vec3 lightDir, float maxDist, int ignoreIndex) {
-    // Iterate through all objects in scene to test for shadows
-    for (int i = 0; i < MAX_OBJECTS; i++) {
-        if (i >= uObjectCount) break;
-        if (i == ignoreIndex) continue; // skip self intersection
-
-        // Get object transformations
-        mat4 worldMatrix = fetchWorldMatrix(i);
-        mat4 invWorldMatrix = inverse(worldMatrix);
-
-        // Tranform shadow ray to object space
-        vec3 roObj = (invWorldMatrix * vec4(shadowOrigin, 1.0)).xyz;
-        vec3 rdObj = normalize((invWorldMatrix * vec4(lightDir, 0.0)).xyz);
-
-        // Test intersection based on object type
-        // * Dependent on scene buffer. Need to implement same way as in traceRay*
-        float objectType = fetchFloat(0, i);
-        float t = -1.0;
-        
-        if (objectType == 0.0) { // CUBE
-            t = intersectCube(roObj, rdObj);
-        }
-        else if (objectType == 1.0) { // CYLIN
-            t = intersectCylinder(roObj, rdObj);
-        }
-        else if (objectType == 2.0) { // CONE
-            t = intersectCone(roObj, rdObj);
-        }
-        else if (objectType == 3.0) { // SPHERE
-            t = intersectSphere(roObj, rdObj);
-        }
+// thinLensRay: depth of field, move the ray origin to a random point on the lens
+// and aim it at the point the pinhole ray would hit on the focal plane
+void thinLensRay(inout vec3 ro, inout vec3 rayDir) {
+    if (uAperture <= 0.0 || uFocalLength <= 0.0) return;
+
+    // camera basis from the camera-to-world matrix
+    vec3 right   = normalize(uCamWorldMatrix[0].xyz);
+    vec3 up      = normalize(uCamWorldMatrix[1].xyz);
+    vec3 forward = -normalize(uCamWorldMatrix[2].xyz);
+
+    vec3 focusPoint = ro + rayDir * (uFocalLength / dot(rayDir, forward));
+
+    float r = 0.5 * uAperture * sqrt(random01());
+    float phi = 2.0 * PI * random01();
+    ro += r * (cos(phi) * right + sin(phi) * up);
+    rayDir = normalize(focusPoint - ro);
+}
+
+// ----------------------------------------------
+// Hit: closest intersection found along a ray
+struct Hit {
+    int   index;       // object row, -1 if nothing was hit
+    float dist;        // world space distance from the ray origin
+    vec3  posObj;      // hit position in object space
+    vec3  posWorld;    // hit position in world space
+    vec3  normalWorld; // surface normal in world space
+    vec2  meshUV;      // interpolated texture coordinate, meshes only
+    int   meshTriangle; // index of the hit triangle, meshes only
+};
+
+// intersectObject: test a world space ray against object row i
+bool intersectObject(int i, vec3 ro, vec3 rd, out Hit hit) {
+    // Object-to-world matrix
+    mat4 M = fetchWorldMatrix(i);
+    // World-to-object
+    mat4 invM = inverse(M);
+
+    // Transform ray into object space
+    vec3 roObj = (invM * vec4(ro, 1.0)).xyz;
+    vec3 rdObj = normalize((invM * vec4(rd, 0.0)).xyz);
+
+    // test intersection based on object type
+    float objectType = fetchFloat(0, i);
+    float t = 0.0;
+    vec3 meshNormal = vec3(0.0, 1.0, 0.0);
+    vec2 meshUV = vec2(0.0);
+    int meshTriangle = -1;
+    if (objectType == 0.0) {
+        // cube
+        t = intersectCube(roObj, rdObj);
+    }
+    else if (objectType == 1.0) {
+        // cylinder
+        t = intersectCylinder(roObj, rdObj);
+    }
+    else if (objectType == 2.0) {
+        // cone
+        t = intersectCone(roObj, rdObj);
+    }
+    else if (objectType == 3.0) {
+        // sphere
+        t = intersectSphere(roObj, rdObj);
+    }
+    else if (objectType == 7.0) {
+        // mesh, normal and uv come from the hit triangle
+        t = intersectMesh(roObj, rdObj, i, meshNormal, meshUV, meshTriangle);
+    }
+
+    if (t < EPSILON) return false;
+
+    // convert the t from object space to world space
+    // Compute hit position and normal
+    vec3 hitObj = roObj + t * rdObj;   // object space
+    vec3 hitWorld = (M * vec4(hitObj, 1.0)).xyz;
+
+    mat3 normalMat = mat3(transpose(invM));
+    vec3 normalObj = vec3(1.0);
+
+    if (objectType == 0.0) {
+        // cube
+        normalObj = normalCube(hitObj);
+    }
+    else if (objectType == 1.0) {
+        // cylinder
+        normalObj = normalCylinder(hitObj);
+    }
+    else if (objectType == 2.0) {
+        // cone
+        normalObj = normalCone(hitObj);
+    }
+    else if (objectType == 3.0) {
+        // sphere
+        normalObj = normalSphere(hitObj);
+    }
+    else if (objectType == 7.0) {
+        // mesh
+        normalObj = meshNormal;
+    }
+
+    hit.index = i;
+    hit.dist = length(hitWorld - ro);
+    hit.posObj = hitObj;
+    hit.posWorld = hitWorld;
+    hit.normalWorld = normalize(normalMat * normalObj);
+    hit.meshUV = meshUV;
+    hit.meshTriangle = meshTriangle;
+    return hit.dist > EPSILON;
+}
+
+// ----------------------------------------------
+// fetchBVHTexel: retrieve texel i of the BVH buffer (row-wrapped linear index)
+vec4 fetchBVHTexel(int i) {
+    return texelFetch(uBVHBuffer, ivec2(i % uBVHTexWidth, i / uBVHTexWidth), 0);
+}
 
-        // If we hit something between surface and light, we're in shadow
-        if (t > EPSILON) {
-            // convert the intersection back to world space
-            vec3 hitObj = roObj + t * rdObj;
-            vec3 hitWorld = (worldMatrix * vec4(hitObj, 1.0)).xyz;
-            float d = length(hitWorld - shadowOrigin);
-            if (d > EPSILON && d < maxDist) {
-                return true;
+// intersectScene: walk the BVH (see bvh.js) for the closest hit closer than maxDist
+// anyHit stops at the first hit found, which is all shadow rays need
+Hit intersectScene(vec3 ro, vec3 rd, float maxDist, int ignoreIndex, bool anyHit) {
+    Hit best;
+    best.index = -1;
+    best.dist = maxDist;
+    if (uBVHNodeCount <= 0) return best;
+
+    // avoid inf * 0 = NaN for axis-aligned rays
+    vec3 safeRd = mix(rd, vec3(1e-8), lessThan(abs(rd), vec3(1e-8)));
+    vec3 invRd = 1.0 / safeRd;
+
+    int stack[BVH_STACK_SIZE];
+    int sp = 0;
+    stack[sp++] = 0;
+
+    for (int step = 0; step < MAX_BVH_STEPS; ++step) {
+        if (sp <= 0) break;
+        int node = stack[--sp];
+
+        vec4 lo = fetchBVHTexel(node * 2);
+        vec4 hi = fetchBVHTexel(node * 2 + 1);
+        float tBox = intersectAABB(ro, invRd, lo.xyz, hi.xyz);
+        if (tBox < 0.0 || tBox > best.dist) continue;
+
+        if (lo.w < 0.0) {
+            // leaf: one object
+            int i = int(hi.w);
+            if (i == ignoreIndex) continue;
+            Hit h;
+            if (intersectObject(i, ro, rd, h) && h.dist < best.dist) {
+                best = h;
+                if (anyHit) break;
+            }
+        }
+        else if (sp + 2 <= BVH_STACK_SIZE) {
+            // visit the nearer child first
+            int left = int(lo.w);
+            int right = int(hi.w);
+            float tLeft = intersectAABB(ro, invRd, fetchBVHTexel(left * 2).xyz, fetchBVHTexel(left * 2 + 1).xyz);
+            float tRight = intersectAABB(ro, invRd, fetchBVHTexel(right * 2).xyz, fetchBVHTexel(right * 2 + 1).xyz);
+            if (tLeft <= tRight) {
+                stack[sp++] = right;
+                stack[sp++] = left;
+            } else {
+                stack[sp++] = left;
+                stack[sp++] = right;
             }
         }
     }
+    return best;
+}
 
-    return false; 
+// to help test occlusion (shadow)
+// returns how much light gets through: 0 behind opaque objects, tinted behind transparent ones
+vec3 shadowTransmittance(vec3 shadowOrigin, vec3 lightDir, float maxDist, int ignoreIndex) {
+    // any opaque blocker is a full shadow, no need to find the closest one
+    Hit h = intersectScene(shadowOrigin, lightDir, maxDist, ignoreIndex, true);
+    if (h.index < 0) return vec3(1.0);
+    vec3 blockerKt = uGlobalKt * fetchMaterial(h.index).transparentColor;
+    if (max(max(blockerKt.r, blockerKt.g), blockerKt.b) <= 0.0) return vec3(0.0);
+
+    // the blocker found lets light through, so the others on the way count too
+    vec3 transmittance = vec3(1.0);
+    vec3 ro = shadowOrigin;
+    float remaining = maxDist;
+    for (int i = 0; i < MAX_SHADOW_HITS; ++i) {
+        // walk through the blockers front to back, each one filters the light
+        h = intersectScene(ro, lightDir, remaining, ignoreIndex, false);
+        if (h.index < 0) return transmittance;
+
+        transmittance *= uGlobalKt * fetchMaterial(h.index).transparentColor;
+        if (max(max(transmittance.r, transmittance.g), transmittance.b) <= 0.0) return vec3(0.0);
+
+        ro = h.posWorld + lightDir * (2.0 * EPSILON);
+        remaining -= h.dist + 2.0 * EPSILON;
+        // the far side of the same object has to be tested as well
+        ignoreIndex = -1;
+    }
+    return vec3(0.0);
 }
 
+// ----------------------------------------------
+// schlickFresnel: fraction of light reflected at a boundary from medium n1 into n2
+// cosI = cosine of the incident angle, 1 is returned on total internal reflection
+float schlickFresnel(float cosI, float n1, float n2) {
+    float r0 = (n1 - n2) / (n1 + n2);
+    r0 *= r0;
+    float cosX = cosI;
+    if (n1 > n2) {
+        // leaving the denser medium: use the transmitted angle
+        float eta = n1 / n2;
+        float sin2T = eta * eta * (1.0 - cosI * cosI);
+        if (sin2T > 1.0) return 1.0;
+        cosX = sqrt(1.0 - sin2T);
+    }
+    float x = 1.0 - cosX;
+    return r0 + (1.0 - r0) * x * x * x * x * x;
+}
 
-// bounce = recursion level (0 for primary rays)
-vec3 traceRay(vec3 ro, vec3 rayDir) {
-    // accumulated color over all bounces
-    vec3 resultColor = vec3(0.0);
-    // how much the light survives to the next bounce
-    vec3 throughput = vec3(1.0);
 
-    vec3 currRo = ro;
-    vec3 currDir = rayDir;
+// ----------------------------------------------
+// lightBasis: two unit vectors spanning the plane perpendicular to n
+void lightBasis(vec3 n, out vec3 u, out vec3 v) {
+    vec3 helper = abs(n.y) < 0.99 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+    u = normalize(cross(helper, n));
+    v = cross(n, u);
+}
 
-    for (int depth = 0; depth < MAX_DEPTH; ++depth) {
-        if (depth >= uMaxDepth) break;
+// spotFalloff: 1 inside the inner cone, smooth falloff across the penumbra, 0 outside
+// angle is the outer half-angle, penumbra the angular width of the soft edge (radians)
+float spotFalloff(vec3 spotDir, vec3 L, float angle, float penumbra) {
+    float x = acos(clamp(dot(normalize(spotDir), -L), -1.0, 1.0));
+    float outer = angle;
+    float inner = max(angle - penumbra, 0.0);
+    if (x <= inner) return 1.0;
+    if (x >= outer) return 0.0;
+    float t = (x - inner) / (outer - inner);
+    return 1.0 - (-2.0 * t * t * t + 3.0 * t * t);
+}
 
-        float closestD = 1e20;
-        int hitIndex = -1;
-        vec3 bestHitObj = vec3(0.0);
-        vec3 bestHitWorld  = vec3(0.0);
-        vec3 bestNormalWorld = vec3(0.0);
-        
-        // Find closest intersection
-        for (int i = 0; i < MAX_OBJECTS; ++i) {
-            if (i >= uObjectCount) break;
-
-            // Object-to-world matrix
-            mat4 M = fetchWorldMatrix(i);
-            // World-to-object
-            mat4 invM = inverse(M);
-
-            // Transform ray into object space
-            vec3 roObj = (invM * vec4(currRo, 1.0)).xyz;
-            vec3 rdObj = normalize((invM * vec4(currDir, 0.0)).xyz);
-
-            // test intersection based on object type
-            float objectType = fetchFloat(0, i);
-            float t = 0.0;
-            if (objectType == 0.0) {
-                // cube
-                t = intersectCube(roObj, rdObj);
-            }
-            else if (objectType == 1.0) {
-                // cylinder
-                t = intersectCylinder(roObj, rdObj);
-            }
-            else if (objectType == 2.0) {
-                // cone
-                t = intersectCone(roObj, rdObj);
-            }
-            else if (objectType == 3.0) {
-                // sphere
-                t = intersectSphere(roObj, rdObj);
-            }
-            
-            if (t < EPSILON) continue;
+// sampleLight: direction and distance from p to (a random point on) light li
+// intensity carries cone falloff and emitter orientation, false when the light cannot reach p
+bool sampleLight(int li, vec3 p, out vec3 L, out float distToLight, out float intensity) {
+    int lightType = uLightType[li];
+    intensity = 1.0;
+
+    if (lightType == 1) {
+        // directional light
+        vec3 dir = normalize(uLightDir[li]);
+        // directional lights are located at infinity with a constant direction
+        L = -dir;
+        distToLight = 1e20;
+        return true;
+    }
 
-            // convert the t from object space to world space
-            // Compute hit position and normal
-            vec3 hitObj = roObj + t * rdObj;   // object space
-            vec3 hitWorld = (M * vec4(hitObj, 1.0)).xyz;
+    vec3 lightPos = uLightPos[li];
+    vec3 lightNormal = length(uLightDir[li]) > EPSILON ? normalize(uLightDir[li]) : vec3(0.0, -1.0, 0.0);
 
-            mat3 normalMat = mat3(transpose(invM));
-            vec3 normalObj = vec3(1.0);
+    if (lightType == 2 && uLightRadius[li] > 0.0) {
+        // spot light with a disc shaped emitter of the given radius
+        vec3 u, v;
+        lightBasis(lightNormal, u, v);
+        float r = uLightRadius[li] * sqrt(random01());
+        float phi = 2.0 * PI * random01();
+        lightPos += r * (cos(phi) * u + sin(phi) * v);
+    }
+    else if (lightType == 3) {
+        // area light: width x height rectangle centered at its position, facing its direction
+        vec3 u, v;
+        lightBasis(lightNormal, u, v);
+        lightPos += (random01() - 0.5) * uLightWidth[li] * u
+                  + (random01() - 0.5) * uLightHeight[li] * v;
+    }
 
-            if (objectType == 0.0) {
-                // cube
-                normalObj = normalCube(hitObj);
-            }
-            else if (objectType == 1.0) {
-                // cylinder
-                normalObj = normalCylinder(hitObj);
-            }
-            else if (objectType == 2.0) {
-                // cone
-                normalObj = normalCone(hitObj);
-            }
-            else if (objectType == 3.0) {
-                // sphere
-                normalObj = normalSphere(hitObj);
-            }
+    L = lightPos - p;
+    distToLight = length(L);
+    if (distToLight <= 0.0) return false;
+    L /= distToLight;
 
-            vec3 normalWorld = normalize(normalMat * normalObj);
+    // distance attenuation, never brightens the light
+    vec3 f = uLightFunction[li];
+    float denom = f.x + f.y * distToLight + f.z * distToLight * distToLight;
+    intensity = denom > 0.0 ? min(1.0, 1.0 / denom) : 1.0;
 
-            float d = length(hitWorld - currRo);
+    if (lightType == 2) {
+        intensity *= spotFalloff(lightNormal, L, uLightAngle[li], uLightPenumbra[li]);
+    }
+    else if (lightType == 3) {
+        // one-sided emitter, dimmer at grazing angles
+        intensity *= max(dot(lightNormal, -L), 0.0);
+    }
+    return intensity > 0.0;
+}
 
-            if (d > EPSILON && d < closestD) {
-                closestD = d;
-                hitIndex = i;
-                bestHitWorld = hitWorld;
-                bestNormalWorld = normalWorld;
-                bestHitObj = hitObj;
-            }
-        }
+// sampleEmitter: direction and distance from p to a random point on the surface of object row
+// cubes and meshes are sampled exactly, the other primitives on their bounding sphere
+bool sampleEmitter(int row, vec3 p, out vec3 L, out float distToLight) {
+    float objectType = fetchFloat(0, row);
+    vec3 pointObj;
+    if (objectType == 0.0) {
+        // cube: random point on a random face
+        int face = min(int(random01() * 6.0), 5);
+        vec2 uv = vec2(random01(), random01()) - 0.5;
+        float side = (face % 2 == 0) ? 0.5 : -0.5;
+        int axis = face / 2;
+        pointObj = axis == 0 ? vec3(side, uv.x, uv.y)
+                 : axis == 1 ? vec3(uv.x, side, uv.y)
+                 : vec3(uv.x, uv.y, side);
+    }
+    else if (objectType == 7.0) {
+        // mesh: random point on a random triangle
+        int base = 1 + 16 + 18;
+        int start = int(fetchFloat(base + 1, row));
+        int count = int(fetchFloat(base + 2, row));
+        if (count <= 0) return false;
+        int texel = (start + min(int(random01() * float(count)), count - 1)) * 8;
+        vec2 b = vec2(random01(), random01());
+        if (b.x + b.y > 1.0) b = 1.0 - b;
+        vec3 v0 = fetchMeshTexel(texel + 0).xyz;
+        pointObj = v0 + b.x * (fetchMeshTexel(texel + 1).xyz - v0) + b.y * (fetchMeshTexel(texel + 2).xyz - v0);
+    }
+    else {
+        // uniform point on the sphere of radius 0.5
+        float z = 1.0 - 2.0 * random01();
+        float r = sqrt(max(0.0, 1.0 - z * z));
+        float phi = 2.0 * PI * random01();
+        pointObj = 0.5 * vec3(r * cos(phi), r * sin(phi), z);
+    }
+
+    vec3 lightPos = (fetchWorldMatrix(row) * vec4(pointObj, 1.0)).xyz;
+    L = lightPos - p;
+    distToLight = length(L);
+    if (distToLight <= EPSILON) return false;
+    L /= distToLight;
+    return true;
+}
+
+
+// meshTangents: object space dp/du and dp/dv of mesh triangle tri
+void meshTangents(int tri, out vec3 dpdu, out vec3 dpdv) {
+    int texel = tri * 8;
+    vec3 p0 = fetchMeshTexel(texel + 0).xyz;
+    vec3 e1 = fetchMeshTexel(texel + 1).xyz - p0;
+    vec3 e2 = fetchMeshTexel(texel + 2).xyz - p0;
+    vec4 uv01 = fetchMeshTexel(texel + 6);
+    vec2 d1 = uv01.zw - uv01.xy;
+    vec2 d2 = fetchMeshTexel(texel + 7).xy - uv01.xy;
+
+    float det = d1.x * d2.y - d1.y * d2.x;
+    if (abs(det) < 1e-12) {
+        // no usable uvs, any frame will do
+        lightBasis(normalize(cross(e1, e2)), dpdu, dpdv);
+        return;
+    }
+    dpdu = (e1 * d2.y - e2 * d1.y) / det;
+    // getTexCoordMesh flips v
+    dpdv = -(e2 * d1.x - e1 * d2.x) / det;
+}
+
+// objectTangents: object space dp/du and dp/dv at a hit, the directions in which the texture's u and v grow
+// primitives differentiate their uv mapping function numerically, meshes use the hit triangle
+void objectTangents(float objectType, Hit hit, out vec3 dpdu, out vec3 dpdv) {
+    if (objectType == 7.0) {
+        meshTangents(hit.meshTriangle, dpdu, dpdv);
+        return;
+    }
+
+    vec3 p = hit.posObj;
+    vec3 n = objectType == 0.0 ? normalCube(p)
+           : objectType == 1.0 ? normalCylinder(p)
+           : objectType == 2.0 ? normalCone(p)
+           : normalSphere(p);
+    vec3 t1, t2;
+    lightBasis(n, t1, t2);
+
+    // uv change for a small step along two directions in the tangent plane
+    const float h = 1e-3;
+    vec2 uv0 = getTexCoord(objectType, p, vec2(0.0), vec2(1.0));
+    vec2 d1 = getTexCoord(objectType, p + h * t1, vec2(0.0), vec2(1.0)) - uv0;
+    vec2 d2 = getTexCoord(objectType, p + h * t2, vec2(0.0), vec2(1.0)) - uv0;
+    // wrapping around a sphere, cylinder or cone jumps u by one
+    d1 -= round(d1);
+    d2 -= round(d2);
+
+    // invert the jacobian d(uv)/d(t1, t2)
+    mat2 J = mat2(d1 / h, d2 / h);
+    if (abs(determinant(J)) < 1e-8) {
+        // uv does not vary here, e.g. cylinder caps
+        dpdu = t1;
+        dpdv = t2;
+        return;
+    }
+    mat2 Jinv = inverse(J);
+    dpdu = t1 * Jinv[0].x + t2 * Jinv[0].y;
+    dpdv = t1 * Jinv[1].x + t2 * Jinv[1].y;
+}
+
+// bumpHeight: height map value at uv
+float bumpHeight(int index, vec2 uv) {
+    return dot(sampleTexture(index, uv), vec3(1.0 / 3.0));
+}
+
+// bumpedNormal: shading normal from the material's bump or normal map
+// n is the world space geometric normal of the hit
+vec3 bumpedNormal(Material mat, Hit hit, vec3 n) {
+    float objectType = fetchFloat(0, hit.index);
+    vec3 dpdu, dpdv;
+    objectTangents(objectType, hit, dpdu, dpdv);
+
+    // tangents transform with the world matrix, then orthonormalize around n
+    mat3 M = mat3(fetchWorldMatrix(hit.index));
+    vec3 T = M * dpdu;
+    T = T - n * dot(n, T);
+    if (dot(T, T) < 1e-12) return n;
+    T = normalize(T);
+    vec3 B = cross(n, T);
+    // keep the handedness of the uv mapping
+    if (dot(B, M * dpdv) < 0.0) B = -B;
+
+    int index = int(mat.bumpIndex);
+    vec2 uv = getTexCoord(objectType, hit.posObj, hit.meshUV, mat.bumpRepeatUV);
+
+    if (mat.bumpIsNormalMap > 0.5) {
+        // RGB in [0, 1], green points up the image, which is against v
+        vec3 tn = sampleTexture(index, uv) * 2.0 - 1.0;
+        return normalize(tn.x * T - tn.y * B + tn.z * n);
+    }
+
+    // height map: tilt the normal against the height gradient, one texel apart
+    vec2 texel = textureTexelSize();
+    float h0 = bumpHeight(index, uv);
+    float hu = bumpHeight(index, uv + vec2(texel.x, 0.0));
+    float hv = bumpHeight(index, uv + vec2(0.0, texel.y));
+    return normalize(n - BUMP_DEPTH * ((hu - h0) * T + (hv - h0) * B));
+}
+
+// RayTask: a ray waiting to be traced
+struct RayTask {
+    vec3 ro;
+    vec3 dir;
+    vec3 throughput; // how much of its color reaches the pixel
+    int  depth;      // recursion level (0 for primary rays)
+};
+
+// traceRay: reflection and refraction split each hit into two rays,
+// GLSL has no recursion so pending rays wait on a small stack
+vec3 traceRay(vec3 ro, vec3 rayDir) {
+    // accumulated color over all rays
+    vec3 resultColor = vec3(0.0);
+
+    RayTask stack[RAY_STACK_SIZE];
+    int sp = 0;
+    stack[sp++] = RayTask(ro, rayDir, vec3(1.0), 0);
+
+    for (int iter = 0; iter < RAY_STACK_SIZE * MAX_DEPTH; ++iter) {
+        if (sp <= 0) break;
+        RayTask task = stack[--sp];
+        vec3 currDir = normalize(task.dir);
+        int depth = task.depth;
+
+        // Find closest intersection
+        Hit hit = intersectScene(task.ro, currDir, 1e20, -1, false);
 
         // No hit -> set pixel same as the background color
         // if (hitIndex < 0) return vec3(0.0);
-        if (hitIndex < 0) break;
+        int hitIndex = hit.index;
+        if (hitIndex < 0) continue;
 
         // Fetch material
         Material mat = fetchMaterial(hitIndex);
 
-        vec3 hitWorld  = bestHitWorld;
-        vec3 hitObj = bestHitObj;
-        vec3 normalWorld = bestNormalWorld;
+        vec3 hitWorld  = hit.posWorld;
+        vec3 hitObj = hit.posObj;
+        vec3 geomNormal = hit.normalWorld;
+        // shading normal, tilted by the bump map
+        vec3 normalWorld = mat.useBump > 0.5 ? bumpedNormal(mat, hit, geomNormal) : geomNormal;
 
         // color variable to accumulate the recursive ray tracing result
         vec3 color = vec3(0.0);
@@ -629,103 +1189,133 @@ vec3 traceRay(vec3 ro, vec3 rayDir) {
         if (mat.useTexture > 0.5) {
             // Get object type so we know what texture mapping function to use
             float objectType = fetchFloat(0, hitIndex);
-            vec2 texCoord = vec2(0.0);
-
-            if (objectType == 0.0) { // CUBE
-                vec3 normalObj = normalCube(hitObj);
-                texCoord = getTexCoordCube(hitObj, normalObj, mat.repeatUV);
-            } else if (objectType == 1.0) { // CYLINDER
-                texCoord = getTexCoordCylinder(hitObj, mat.repeatUV);
-            } else if (objectType == 2.0) { // CONE
-                texCoord = getTexCoordCone(hitObj, mat.repeatUV);
-            } else if (objectType == 3.0) { // SPHERE
-                texCoord = getTexCoordSphere(hitObj, mat.repeatUV);
-            }
+            vec2 texCoord = getTexCoord(objectType, hitObj, hit.meshUV, mat.repeatUV);
 
-            int texIndex = clamp(int(mat.textureIndex), 0, 7);
-            vec3 texColor = vec3(0.0);
-            switch(texIndex) {
-                case 0: texColor = texture(uTextures[0], fract(texCoord)).rgb; break;
-                case 1: texColor = texture(uTextures[1], fract(texCoord)).rgb; break;
-                case 2: texColor = texture(uTextures[2], fract(texCoord)).rgb; break;
-                case 3: texColor = texture(uTextures[3], fract(texCoord)).rgb; break;
-                case 4: texColor = texture(uTextures[4], fract(texCoord)).rgb; break;
-                case 5: texColor = texture(uTextures[5], fract(texCoord)).rgb; break;
-                case 6: texColor = texture(uTextures[6], fract(texCoord)).rgb; break;
-                case 7: texColor = texture(uTextures[7], fract(texCoord)).rgb; break;
-            }
+            vec3 texColor = sampleTexture(int(mat.textureIndex), texCoord);
 
-            baseColor = texColor;
+            baseColor = mix(mat.diffuseColor, texColor, clamp(mat.blend, 0.0, 1.0));
             color = uGlobalKa * baseColor;
         }
         else {
             color = uGlobalKa * mat.ambientColor;
         }
 
-        // Phong shading, no shadows and reflections for now
+        // self-lit surfaces glow regardless of the lights
+        color += mat.emissiveColor;
+
+        // Phong shading with shadows, spot and area lights are averaged over several samples
         for (int li = 0; li < MAX_LIGHTS; ++li) {
             if (li >= uNumLights) break;
 
             int lightType = uLightType[li];
-            vec3 L;
-            float distToLight;
-            vec3 shadowOrigin = hitWorld + normalWorld * EPSILON;
-
-            if (lightType == 0) {
-                // point light
-                vec3 lightPos = uLightPos[li];
-                // Avoid self-intersection w/ slight offset
-                L = lightPos - shadowOrigin;
-                distToLight = length(L);
-                if (distToLight <= 0.0) continue;
-                L /= distToLight; 
+            // Avoid self-intersection w/ slight offset
+            vec3 shadowOrigin = hitWorld + geomNormal * EPSILON;
+
+            // lights with a surface get several shadow rays for soft shadows
+            bool hasArea = lightType == 3 || (lightType == 2 && uLightRadius[li] > 0.0);
+            int samples = hasArea ? max(uAreaLightSamples, 1) : 1;
+
+            vec3 lightSum = vec3(0.0);
+            for (int si = 0; si < MAX_LIGHT_SAMPLES; ++si) {
+                if (si >= samples) break;
+
+                vec3 L;
+                float distToLight;
+                float intensity;
+                if (!sampleLight(li, shadowOrigin, L, distToLight, intensity)) continue;
+
+                // shadow check, transparent objects tint the light instead of blocking it
+                vec3 visibility = shadowTransmittance(shadowOrigin, L, distToLight, hitIndex);
+                if (max(max(visibility.r, visibility.g), visibility.b) <= 0.0) continue;
+
+                // diffuse term
+                float dotNL = max(dot(normalWorld, L), 0.0);
+                vec3 diffuse = uGlobalKd * baseColor * dotNL;
+
+                // specular term
+                vec3 V = normalize(uCameraPos - hitWorld);
+                vec3 R = reflect(-L, normalWorld);
+                float dotRV = max(dot(R, V), 0.0);
+
+                // guard weird shininess values, got some weird issues with specular for
+                // cube_test.xml and unit_cube.xml
+                float shininess = clamp(mat.shininess, 1.0, 256.0);
+                float sTerm = 0.0;
+                if (dotRV > 0.0) sTerm = pow(dotRV, shininess);
+
+                // float specStrength = uGlobalKs * ((mat.shininess + 2.0) * 0.5) * sTerm;
+                float specStrength = uGlobalKs * sTerm;
+                vec3 specular = mat.specularColor * specStrength;
+
+                lightSum += visibility * intensity * (diffuse + specular);
             }
-            else {
-                // directional light
-                vec3 dir = normalize(uLightDir[li]);
-                // directional lights are located at infinity with a constant direction
-                L = -dir;
-                distToLight = 1e20;
-            }
-
-            // shadow check
-            if (isInShadow(shadowOrigin, L, distToLight, hitIndex)) continue;
-
-            // diffuse term
-            float dotNL = max(dot(normalWorld, L), 0.0);
-            vec3 diffuse = uGlobalKd * baseColor * dotNL;
 
-            // specular term
-            vec3 V = normalize(uCameraPos - hitWorld);
-            vec3 R = reflect(-L, normalWorld);
-            float dotRV = max(dot(R, V), 0.0);
-
-            // guard weird shininess values, got some weird issues with specular for
-            // cube_test.xml and unit_cube.xml
-            float shininess = clamp(mat.shininess, 1.0, 256.0);
-            float sTerm = 0.0;
-            if (dotRV > 0.0) sTerm = pow(dotRV, shininess);
+            color += uLightColor[li] * lightSum / float(samples);
+        }
 
-            // float specStrength = uGlobalKs * ((mat.shininess + 2.0) * 0.5) * sTerm;
-            float specStrength = uGlobalKs * sTerm;
-            vec3 specular = mat.specularColor * specStrength;
+        // emissive objects as soft diffuse lights, sampled like area lights
+        for (int ei = 0; ei < MAX_EMISSIVE_OBJECTS; ++ei) {
+            if (ei >= uEmissiveCount) break;
+            int emitter = uEmissiveObjects[ei];
+            if (emitter == hitIndex) continue;
+
+            vec3 shadowOrigin = hitWorld + geomNormal * EPSILON;
+            vec3 emission = fetchMaterial(emitter).emissiveColor;
+            int samples = max(uAreaLightSamples, 1);
+
+            vec3 lightSum = vec3(0.0);
+            for (int si = 0; si < MAX_LIGHT_SAMPLES; ++si) {
+                if (si >= samples) break;
+
+                vec3 L;
+                float distToLight;
+                if (!sampleEmitter(emitter, shadowOrigin, L, distToLight)) continue;
+                float dotNL = max(dot(normalWorld, L), 0.0);
+                if (dotNL <= 0.0) continue;
+
+                // stop short of the sampled point so the emitter's own surface there does not block it
+                vec3 visibility = shadowTransmittance(shadowOrigin, L, distToLight - 2.0 * EPSILON, hitIndex);
+                // soft inverse square falloff that stays finite next to the emitter
+                lightSum += visibility * uGlobalKd * baseColor * dotNL / (1.0 + distToLight * distToLight);
+            }
 
-            color += uLightColor[li] * (diffuse + specular);
+            color += emission * lightSum / float(samples);
         }
         
-        // set up for the next ray bounce
-        // add this bounce's contribution to the final color
-        resultColor += throughput * color;
-
-        // if the material is not reflective 
-        if (length(mat.reflectiveColor) <= 0.0 || depth + 1 >= uMaxDepth) break;
-
-        // update ray origin and direction
-        vec3 reflectDir = reflect(normalize(currDir), normalWorld);
-        currRo = hitWorld + normalWorld * (2.0 * EPSILON);
-        currDir = reflectDir;
+        // add this hit's contribution to the final color
+        resultColor += task.throughput * color;
+
+        if (depth + 1 >= uMaxDepth) continue;
+
+        // orient the normal against the ray, rays leaving an object see the inside
+        // the geometric normal decides the side, the shading normal the new directions
+        bool entering = dot(currDir, geomNormal) < 0.0;
+        vec3 nGeom = entering ? geomNormal : -geomNormal;
+        vec3 n = entering ? normalWorld : -normalWorld;
+        float ior = mat.ior > 0.0 ? mat.ior : 1.0;
+        float n1 = entering ? 1.0 : ior;
+        float n2 = entering ? ior : 1.0;
+
+        // Fresnel moves light from the refracted ray to the reflected one at grazing angles
+        vec3 transparent = uGlobalKt * mat.transparentColor;
+        bool isTransparent = max(max(transparent.r, transparent.g), transparent.b) > 0.0;
+        float fresnel = isTransparent ? schlickFresnel(-dot(currDir, n), n1, n2) : 0.0;
+        vec3 reflectWeight = task.throughput * (mat.reflectiveColor + transparent * fresnel);
+        vec3 refractWeight = task.throughput * transparent * (1.0 - fresnel);
+
+        // refracted ray, nothing is transmitted on total internal reflection (fresnel = 1)
+        if (max(max(refractWeight.r, refractWeight.g), refractWeight.b) > MIN_RAY_WEIGHT && sp < RAY_STACK_SIZE) {
+            vec3 refractDir = refract(currDir, n, n1 / n2);
+            if (dot(refractDir, refractDir) > 0.0) {
+                stack[sp++] = RayTask(hitWorld - nGeom * (2.0 * EPSILON), refractDir, refractWeight, depth + 1);
+            }
+        }
 
-        throughput *= mat.reflectiveColor;
+        // reflected ray
+        if (max(max(reflectWeight.r, reflectWeight.g), reflectWeight.b) > MIN_RAY_WEIGHT && sp < RAY_STACK_SIZE) {
+            vec3 reflectDir = reflect(currDir, n);
+            stack[sp++] = RayTask(hitWorld + nGeom * (2.0 * EPSILON), reflectDir, reflectWeight, depth + 1);
+        }
     }
 
     // clamp to [0,1]
@@ -736,11 +1326,21 @@ vec3 traceRay(vec3 ro, vec3 rayDir) {
 // ----------------------------------------------
 // main: iterate over all objects, test intersection, and shade
 void main() {
+    initRandom();
+
     // Compute ray origin and direction in world space
     vec3 ro = uCameraPos;
     vec3 rayDir    = getWorldRayDir();
+    thinLensRay(ro, rayDir);
 
     // process and get final color 
     vec3 color = traceRay(ro, rayDir);
+
+    // running mean, clamped first so one bright sample does not outweigh the rest
+    color = clamp(color, 0.0, 1.0);
+    if (uSampleCount > 0) {
+        vec3 previous = texelFetch(uAccumBuffer, ivec2(gl_FragCoord.xy), 0).rgb;
+        color = mix(previous, color, 1.0 / float(uSampleCount + 1));
+    }
     outColor = vec4(color, 1.0);
 }
\ No newline at end of file
@@ -23,6 +23,18 @@ const PrimitiveType = {
     SHAPE_MESH:     7
 };
 
+// float offsets of each block within an object row of the scene texture
+const ObjectLayout = {
+    TYPE:     0,   // primitive type (1)
+    MATRIX:   1,   // row-major world matrix (16)
+    MATERIAL: 17,  // material (18)
+    MESH:     35,  // mesh BVH root node, first triangle, triangle count, object space bounds (9)
+    TRANSPARENT: 44, // transparent color (3)
+    EMISSIVE: 47,  // emissive color (3)
+    BUMP:     50,  // bump map: used, repeatU, repeatV, texture index, is normal map (5)
+    BLEND:    55   // texture / diffuse blend factor (1)
+};
+
 // Data structures
 
 class SceneGlobalData {
@@ -41,7 +53,7 @@ class SceneCameraData {
         this.look =     [0, 0, 0];
         this.up =       [0, 1, 0];
         this.isDir =    true;          // true: use look vector; false: use lookAt point
-        this.heightAngle = 45.0;       // in degrees
+        this.heightAngle = null;       // in degrees, null keeps the viewer's default view angle
         this.aspectRatio = 1.0;
         this.aperture =    0.0;        // for depth of field
         this.focalLength = 1.0;        // for depth of field
@@ -55,6 +67,7 @@ class SceneFileMap {
         this.repeatU = 1.0;
         this.repeatV = 1.0;
         this.textureIndex = 0; // new for a4 since files reference texture mapping 
+        this.isNormalMap = false; // bump maps only: RGB tangent space normals instead of a height map
     }
 }
 
@@ -79,6 +92,7 @@ class ScenePrimitive {
         this.type = PrimitiveType.SHAPE_CUBE;
         this.meshfile = "";
         this.material = new SceneMaterial();
+        this.dynamic = false; // moved by the avatar physics instead of staying put
     }
 }
 
@@ -110,7 +124,7 @@ class SceneLightData {
         this.pos = [0, 0, 0];
         this.dir = [0, 0, -1];
         this.radius = 0.0;      // for spot lights
-        this.penumbra = 0.0;    // for spot lights
+        this.penumbra = 0.0;    // for spot lights (radians)
         this.angle = 0.0;       // for spot lights (radians)
         this.width = 0.0;       // for area lights
         this.height = 0.0;      // for area lights
@@ -121,6 +135,7 @@ export {
     LightType,
     TransformationType,
     PrimitiveType,
+    ObjectLayout,
     SceneGlobalData,
     SceneCameraData,
     SceneFileMap,
@@ -1,4 +1,76 @@
-import { TransformationType } from './SceneDataStructures.js';
+import { TransformationType, PrimitiveType } from './SceneDataStructures.js';
+import { BVH, computeRowBounds } from './bvh.js';
+
+// each mesh triangle takes 8 RGBA texels: v0 v1 v2 n0 n1 n2 (uv0 uv1) (uv2 -)
+export const FLOATS_PER_TRIANGLE = 32;
+
+// object space box of triangle tri of a mesh's positions (9 floats per triangle)
+function triangleBounds(positions, tri) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let k = 0; k < 9; k++) {
+        min[k % 3] = Math.min(min[k % 3], positions[tri * 9 + k]);
+        max[k % 3] = Math.max(max[k % 3], positions[tri * 9 + k]);
+    }
+    return { min, max };
+}
+
+/**
+ * Pack one object into the scene row layout (see ObjectLayout) starting at offset.
+ * Also used by the renderer for the avatar rows, so both always agree on the layout.
+ */
+export function packObject(array, offset, type, worldMatrix, material, mesh) {
+    const m = material;
+    // type
+    array[offset++] = type;
+    // worldMatrix (16 floats)
+    for (let j = 0; j < 16; j++) {
+        array[offset++] = worldMatrix[j];
+    }
+    // material (18 floats)
+    array[offset++] = m.cAmbient.r;
+    array[offset++] = m.cAmbient.g;
+    array[offset++] = m.cAmbient.b;
+    array[offset++] = m.cDiffuse.r;
+    array[offset++] = m.cDiffuse.g;
+    array[offset++] = m.cDiffuse.b;
+    array[offset++] = m.cSpecular.r;
+    array[offset++] = m.cSpecular.g;
+    array[offset++] = m.cSpecular.b;
+    array[offset++] = m.shininess;
+    array[offset++] = m.ior;
+    array[offset++] = (m.textureMap.isUsed ? 1.0 : 0.0);
+    array[offset++] = m.textureMap.repeatU;
+    array[offset++] = m.textureMap.repeatV;
+    array[offset++] = m.textureMap.textureIndex;
+    array[offset++] = m.cReflective.r;
+    array[offset++] = m.cReflective.g;
+    array[offset++] = m.cReflective.b;
+    // mesh (9 floats): root of the mesh's BVH, first triangle, triangle count, object space bounds
+    // left empty until setMeshes() runs, so unloaded meshes are never hit
+    mesh = mesh || { bvhRoot: 0, start: 0, count: 0, bboxMin: [0, 0, 0], bboxMax: [0, 0, 0] };
+    array[offset++] = mesh.bvhRoot;
+    array[offset++] = mesh.start;
+    array[offset++] = mesh.count;
+    array.set(mesh.bboxMin, offset); offset += 3;
+    array.set(mesh.bboxMax, offset); offset += 3;
+    // transparent color (3 floats)
+    array[offset++] = m.cTransparent.r;
+    array[offset++] = m.cTransparent.g;
+    array[offset++] = m.cTransparent.b;
+    // emissive color (3 floats)
+    array[offset++] = m.cEmissive.r;
+    array[offset++] = m.cEmissive.g;
+    array[offset++] = m.cEmissive.b;
+    // bump map (5 floats)
+    array[offset++] = (m.bumpMap.isUsed ? 1.0 : 0.0);
+    array[offset++] = m.bumpMap.repeatU;
+    array[offset++] = m.bumpMap.repeatV;
+    array[offset++] = m.bumpMap.textureIndex;
+    array[offset++] = (m.bumpMap.isNormalMap ? 1.0 : 0.0);
+    // texture blend (1 float)
+    array[offset++] = m.blend;
+}
 
 /**
  * SceneFlattener
@@ -6,13 +78,27 @@ import { TransformationType } from './SceneDataStructures.js';
  *   - flatten(): flatten tree and pack into Float32Array
  *   - getFloat32Array(): returns the packed Float32Array
  *   - getObjectCount(): returns number of objects flattened
+ *   - getEmissiveObjects(): rows of the objects with an emissive color, the shader samples them as lights
+ *   - getDynamicObjects(): rows of the objects marked dynamic, AvatarPhysics moves them
+ *   - addTextureMaps(materials): index the textures of materials outside the tree (the avatar rig) into getTextureMaps()
+ *   - getMeshFiles(): unique mesh filenames, load them and pass the results to setMeshes()
+ *   - setMeshes(meshes): pack loaded meshes (see meshLoader.js) into getMeshFloat32Array(),
+ *     with a BVH over each mesh's triangles in getMeshBVHFloat32Array()
+ *   - buildBVH(rows, rowCount, floatsPerRow): BVH over the final texture rows,
+ *     including the pose objects the renderer appends, see getBVHFloat32Array()
+ *   - updateBVHBounds(...) for the rows that moved, then refitBVH()
  */
 export class SceneFlattener {
     constructor(rootNode) {
         this.rootNode = rootNode;
         this.objectList = [];
-        this.floatsPerObject = 1 + 16 + 18; // type + 4x4 matrix + material(18)
+        // type + 4x4 matrix + material(18) + mesh(9) + transparent(3) + emissive(3) + bump map(5) + blend(1)
+        this.floatsPerObject = 1 + 16 + 18 + 9 + 3 + 3 + 5 + 1;
         this._dataArray = null;
+        this._meshArray = new Float32Array(0);
+        this._meshBVHArray = new Float32Array(0);
+        this.bvh = new BVH();
+        this.bvhBounds = [];
         this._flattened = false;
     }
 
@@ -30,30 +116,170 @@ export class SceneFlattener {
         ]);
         this._traverseNode(this.rootNode, identityMat);
         this._indexTextureMaps(); // new for a4 
+        this._indexMeshes();
         this._buildDataArray();
         this._flattened = true;
     }
 
     // new for a4 - handle texture mapping 
     // build a list of unique textures and assign them indices 
+    // bump maps share the list, so an image used both ways is loaded once
     _indexTextureMaps() {
         this.textureMaps = [];
+        this.addTextureMaps(this.objectList.map(obj => obj.material));
+    }
+
+    // index the maps of materials that are not in the scene tree (e.g. the avatar rig) into the same list
+    addTextureMaps(materials) {
+        for (const material of materials) {
+            for (const map of [material.textureMap, material.bumpMap]) {
+                if (!map.isUsed) {
+                    continue;
+                }
+                let idx = this.textureMaps.findIndex(m => m.filename === map.filename);
+                if (idx < 0) {
+                    idx = this.textureMaps.length;
+                    this.textureMaps.push(map);
+                }
+                map.textureIndex = idx;
+            }
+        }
+    }
+
+    getTextureMaps() {
+        return this.textureMaps || []; 
+    }
+
+    getEmissiveObjects() {
+        const rows = [];
+        this.objectList.forEach((obj, i) => {
+            const e = obj.material.cEmissive;
+            if (e.r > 0 || e.g > 0 || e.b > 0) {
+                rows.push(i);
+            }
+        });
+        return rows;
+    }
+
+    getDynamicObjects() {
+        const rows = [];
+        this.objectList.forEach((obj, i) => {
+            if (obj.dynamic) {
+                rows.push(i);
+            }
+        });
+        return rows;
+    }
+
+    // build a list of unique mesh files and assign each mesh object its index
+    _indexMeshes() {
+        this.meshFiles = [];
         for (let obj of this.objectList) {
-            const map = obj.material.textureMap;
-            if (!map.isUsed) {
+            if (obj.type !== PrimitiveType.SHAPE_MESH) {
                 continue;
             }
-            let idx = this.textureMaps.findIndex(m => m.filename === map.filename);
+            let idx = this.meshFiles.indexOf(obj.meshfile);
             if (idx < 0) {
-                idx = this.textureMaps.length;
-                this.textureMaps.push(map);
+                idx = this.meshFiles.length;
+                this.meshFiles.push(obj.meshfile);
             }
-            map.textureIndex = idx;
+            obj.meshIndex = idx;
         }
     }
 
-    getTextureMaps() {
-        return this.textureMaps || []; 
+    getMeshFiles() {
+        return this.meshFiles || [];
+    }
+
+    // meshes[i] is the loaded mesh for getMeshFiles()[i]
+    setMeshes(meshes) {
+        const totalTriangles = meshes.reduce((sum, m) => sum + m.triangleCount, 0);
+        this._meshArray = new Float32Array(totalTriangles * FLOATS_PER_TRIANGLE);
+
+        // pack every mesh once, instances share the triangle range and BVH
+        const ranges = [];
+        const bvhArrays = [];
+        let start = 0;
+        let bvhNodes = 0;
+        for (const mesh of meshes) {
+            const bounds = [];
+            for (let tri = 0; tri < mesh.triangleCount; tri++) {
+                let offset = (start + tri) * FLOATS_PER_TRIANGLE;
+                for (let k = 0; k < 3; k++) { // positions
+                    this._meshArray.set(mesh.positions.subarray(tri * 9 + k * 3, tri * 9 + k * 3 + 3), offset);
+                    offset += 4;
+                }
+                for (let k = 0; k < 3; k++) { // normals
+                    this._meshArray.set(mesh.normals.subarray(tri * 9 + k * 3, tri * 9 + k * 3 + 3), offset);
+                    offset += 4;
+                }
+                this._meshArray.set(mesh.uvs.subarray(tri * 6, tri * 6 + 6), offset); // uvs
+                bounds.push(triangleBounds(mesh.positions, tri));
+            }
+
+            // leaves point at triangles of the whole mesh array, children at nodes of the whole BVH array
+            const bvh = new BVH();
+            bvh.build(bounds);
+            bvhArrays.push(bvh.getFloat32Array(bvhNodes, start));
+            ranges.push({ bvhRoot: bvhNodes, start, count: mesh.triangleCount, bboxMin: mesh.bboxMin, bboxMax: mesh.bboxMax });
+            start += mesh.triangleCount;
+            bvhNodes += bvh.getNodeCount();
+        }
+        this._meshBVHArray = new Float32Array(bvhNodes * 8);
+        let offset = 0;
+        for (const array of bvhArrays) {
+            this._meshBVHArray.set(array, offset);
+            offset += array.length;
+        }
+
+        for (let obj of this.objectList) {
+            if (obj.type === PrimitiveType.SHAPE_MESH) {
+                obj.mesh = ranges[obj.meshIndex];
+            }
+        }
+        this._buildDataArray();
+    }
+
+    getMeshFloat32Array() {
+        return this._meshArray;
+    }
+
+    getMeshBVHFloat32Array() {
+        return this._meshBVHArray;
+    }
+
+    // rows is the padded scene texture data, one object per floatsPerRow floats
+    buildBVH(rows, rowCount, floatsPerRow) {
+        this.bvhBounds = [];
+        for (let row = 0; row < rowCount; row++) {
+            this.bvhBounds.push(computeRowBounds(rows, row, floatsPerRow));
+        }
+        this.bvh.build(this.bvhBounds);
+    }
+
+    // update bounds of rows [firstRow, firstRow + count) that moved, given their data at the start of rows
+    updateBVHBounds(rows, firstRow, count, floatsPerRow) {
+        for (let i = 0; i < count; i++) {
+            this.bvhBounds[firstRow + i] = computeRowBounds(rows, i, floatsPerRow);
+        }
+    }
+
+    // node boxes from the bounds, once after updating every range that moved
+    refitBVH() {
+        this.bvh.refit(this.bvhBounds);
+    }
+
+    // full rebuild from the current bounds, for when refitting has loosened the tree
+    rebuildBVH() {
+        this.bvh.build(this.bvhBounds);
+    }
+
+    getBVHFloat32Array() {
+        return this.bvh.getFloat32Array();
+    }
+
+    getBVHNodeCount() {
+        return this.bvh.getNodeCount();
     }
 
     getObjectCount() {
@@ -83,7 +309,9 @@ export class SceneFlattener {
                 this.objectList.push({
                     type: prim.type,
                     worldMatrix: currentMat.slice(),
-                    material: prim.material
+                    material: prim.material,
+                    meshfile: prim.meshfile,
+                    dynamic: prim.dynamic
                 });
             }
         }
@@ -170,36 +398,9 @@ export class SceneFlattener {
         const N = this.objectList.length;
         const fpo = this.floatsPerObject;
         this._dataArray = new Float32Array(N * fpo);
-        let offset = 0;
         for (let i = 0; i < N; i++) {
             const obj = this.objectList[i];
-            // type
-            this._dataArray[offset++] = obj.type;
-            // worldMatrix (16 floats)
-            const wm = obj.worldMatrix;
-            for (let j = 0; j < 16; j++) {
-                this._dataArray[offset++] = wm[j];
-            }
-            // material (18 floats)
-            const m = obj.material;
-            this._dataArray[offset++] = m.cAmbient.r;
-            this._dataArray[offset++] = m.cAmbient.g;
-            this._dataArray[offset++] = m.cAmbient.b;
-            this._dataArray[offset++] = m.cDiffuse.r;
-            this._dataArray[offset++] = m.cDiffuse.g;
-            this._dataArray[offset++] = m.cDiffuse.b;
-            this._dataArray[offset++] = m.cSpecular.r;
-            this._dataArray[offset++] = m.cSpecular.g;
-            this._dataArray[offset++] = m.cSpecular.b;
-            this._dataArray[offset++] = m.shininess;
-            this._dataArray[offset++] = m.ior;
-            this._dataArray[offset++] = (m.textureMap.isUsed ? 1.0 : 0.0);
-            this._dataArray[offset++] = m.textureMap.repeatU;
-            this._dataArray[offset++] = m.textureMap.repeatV;
-            this._dataArray[offset++] = m.textureMap.textureIndex;
-            this._dataArray[offset++] = m.cReflective.r;
-            this._dataArray[offset++] = m.cReflective.g;
-            this._dataArray[offset++] = m.cReflective.b;
+            packObject(this._dataArray, i * fpo, obj.type, obj.worldMatrix, obj.material, obj.mesh);
         }
     }
 }
\ No newline at end of file
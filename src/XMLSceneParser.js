@@ -12,6 +12,23 @@ function parseTriple(elem) {
     return [x, y, z];
 }
 
+/**
+ * Parse a <function> element: constant, linear and quadratic attenuation.
+ * Accepts x,y,z like parseTriple, otherwise takes the first three attributes in order (e.g. v1,v2,v3).
+ * Returns an array [constant, linear, quadratic].
+ */
+function parseAttenuation(elem) {
+    if (elem.hasAttribute('x')) {
+        return parseTriple(elem);
+    }
+    const vals = [];
+    for (let i = 0; i < elem.attributes.length && vals.length < 3; i++) {
+        vals.push(parseFloat(elem.attributes[i].value));
+    }
+    while (vals.length < 3) vals.push(0);
+    return vals;
+}
+
 /**
  * Parse a <float>‐like attribute on an element: assumes first attribute is the value.
  */
@@ -89,6 +106,8 @@ class XMLSceneParser {
         this.lights = [];               // SceneLightData[]
         this.objects = {};               // name → SceneNode
         this.nodes = [];               // all nodes for cleanup if needed
+        this.avatarData = null;        // rig description from <avatar>, null for the default rig
+        this.avatarAnchor = null;      // <avatar><anchor>, where the avatar stands
     }
 
     /**
@@ -138,6 +157,12 @@ class XMLSceneParser {
                         return false;
                     }
                     break;
+                case "avatar":
+                    if (!this._parseAvatar(elem)) {
+                        console.error("Failed to parse <avatar>");
+                        return false;
+                    }
+                    break;
                 case "reflective":
                     
                 default:
@@ -157,7 +182,7 @@ class XMLSceneParser {
         this.cameraData.pos = [5, 5, 5];
         this.cameraData.up = [0, 1, 0];
         this.cameraData.lookAt = [0, 0, 0];
-        this.cameraData.heightAngle = 45.0;
+        this.cameraData.heightAngle = null; // no <heightangle>: the camera's own view angle
         this.cameraData.aspectRatio = 1.0;
         this.cameraData.aperture = 0.0;
         this.cameraData.focalLength = 1.0;
@@ -241,7 +266,7 @@ class XMLSceneParser {
                     Object.assign(light.color, parseColor(child));
                     break;
                 case "function":
-                    light.function = parseTriple(child);
+                    light.function = parseAttenuation(child);
                     break;
                 case "position":
                     if (light.type === LightType.LIGHT_DIRECTIONAL) {
@@ -269,7 +294,8 @@ class XMLSceneParser {
                         console.error("Penumbra only for spot lights");
                         return false;
                     }
-                    light.penumbra = parseFloat(child.getAttribute("value"));
+                    // convert degrees to radians, same as angle
+                    light.penumbra = parseFloat(child.getAttribute("value")) * Math.PI / 180.0;
                     break;
                 case "angle":
                     if (light.type !== LightType.LIGHT_SPOT) {
@@ -329,16 +355,16 @@ class XMLSceneParser {
                     this.cameraData.up = parseTriple(child);
                     break;
                 case "heightangle":
-                    this.cameraData.heightAngle = parseFloat(child.getAttribute("value"));
+                    this.cameraData.heightAngle = parseFloatAttr(child);
                     break;
                 case "aspectratio":
-                    this.cameraData.aspectRatio = parseFloat(child.getAttribute("value"));
+                    this.cameraData.aspectRatio = parseFloatAttr(child);
                     break;
                 case "aperture":
-                    this.cameraData.aperture = parseFloat(child.getAttribute("value"));
+                    this.cameraData.aperture = parseFloatAttr(child);
                     break;
                 case "focallength":
-                    this.cameraData.focalLength = parseFloat(child.getAttribute("value"));
+                    this.cameraData.focalLength = parseFloatAttr(child);
                     break;
                 default:
                     console.warn(`Unknown element in <cameradata>: <${child.tagName}>`);
@@ -508,24 +534,29 @@ class XMLSceneParser {
                 break;
             case "mesh":
                 primitive.type = PrimitiveType.SHAPE_MESH;
-                // Next attribute is mesh filename
-                const meshAttr = primElem.attributes[1];
+                // Mesh filename: named attribute if present, else the next attribute
+                const meshAttr = primElem.getAttribute("meshfile") || primElem.getAttribute("filename")
+                    || (primElem.attributes[1] && primElem.attributes[1].value);
                 if (!meshAttr) {
                     console.error("Mesh primitive must specify mesh file");
                     return false;
                 }
-                primitive.meshfile = meshAttr.value;
+                primitive.meshfile = meshAttr;
                 break;
             default:
                 console.error("Unknown primitive type:", firstAttrVal);
                 return false;
         }
 
+        // dynamic="true": the avatar can push the object around (see avatarPhysics.js)
+        primitive.dynamic = primElem.getAttribute("dynamic") === "true";
+
         // Initialize default material
         const mat = primitive.material;
         mat.textureMap.isUsed = false;
         mat.bumpMap.isUsed = false;
         mat.cDiffuse = { r: 1, g: 1, b: 1, a: 1 };
+        let hasBlend = false;
 
         // Parse material sub-elements
         const items = primElem.children;
@@ -561,9 +592,12 @@ class XMLSceneParser {
                     break;
                 case "bumpmap":
                     mat.bumpMap = parseMap(child);
+                    // <bumpmap type="normal"> holds tangent space normals, anything else is a height map
+                    mat.bumpMap.isNormalMap = child.getAttribute("type") === "normal";
                     break;
                 case "blend":
                     mat.blend = parseFloat(child.getAttribute("value"));
+                    hasBlend = true;
                     break;
                 default:
                     console.warn(`Unknown primitive data <${child.tagName}>`);
@@ -571,10 +605,148 @@ class XMLSceneParser {
             }
         }
 
+        // scenes without <blend> expect the texture to replace the diffuse color
+        if (mat.textureMap.isUsed && !hasBlend) {
+            mat.blend = 1.0;
+        }
+
         node.primitives.push(primitive);
         return true;
     }
 
+    /**
+     * Parse <avatar>: the rig is either <avatar rig="rigs/my-rig.json"> or given inline
+     *   <material name="skin"> same children as a primitive </material>
+     *   <part name="head" primitive="sphere" landmark="0" size="0.72" material="skin"/>
+     *   <part name="torso" primitive="cylinder" from="23 24" to="11 12" radius="0.64" lengthscale="2" material="shirt"/>
+     *   <part name="visor" primitive="cube" landmark="0" size="0.5 0.12 0.1" offset="0 0.08 0.3" orient="face" material="glass"/>
+     *   <part name="leftIndex" primitive="cylinder" hand="left" from="5" to="8" radius="0.03" material="skin"/>
+     *   <person> <material name="skin"> overrides </material> </person>, one per avatar slot in order
+     * and produces a rig description in the rig file format, see avatarRig.js. Without either the default rig is used.
+     *   <anchor x="0" y="-0.3" z="0" facing="0" scale="2"/> places the avatar, y being the floor height
+     *   (see PoseSpaceMapper), attributes left out keep their defaults.
+     */
+    _parseAvatar(elem) {
+        const rig = { materials: {}, parts: [], people: [] };
+        // "23 24" -> [23, 24], "0" -> 0
+        const parseLandmarks = (value, parseNumber = parseInt) => {
+            const list = value.trim().split(/[\s,]+/).map(v => parseNumber(v));
+            return list.length === 1 ? list[0] : list;
+        };
+        // <material name="..."> into target[name]
+        const parseMaterial = (materialElem, target) => {
+            const name = materialElem.getAttribute("name");
+            const material = this._parseAvatarMaterial(materialElem);
+            if (!name || !material) {
+                console.error("Avatar <material> needs a name and valid contents");
+                return false;
+            }
+            target[name] = material;
+            return true;
+        };
+
+        for (const child of elem.children) {
+            switch (child.tagName) {
+                case "material":
+                    if (!parseMaterial(child, rig.materials)) return false;
+                    break;
+                case "part": {
+                    const part = {
+                        name: child.getAttribute("name"),
+                        primitive: child.getAttribute("primitive"),
+                        material: child.getAttribute("material")
+                    };
+                    if (child.hasAttribute("landmark")) part.landmark = parseInt(child.getAttribute("landmark"));
+                    if (child.hasAttribute("from")) part.from = parseLandmarks(child.getAttribute("from"));
+                    if (child.hasAttribute("to")) part.to = parseLandmarks(child.getAttribute("to"));
+                    if (child.hasAttribute("size")) part.size = parseLandmarks(child.getAttribute("size"), parseFloat);
+                    if (child.hasAttribute("offset")) part.offset = parseLandmarks(child.getAttribute("offset"), parseFloat);
+                    if (child.hasAttribute("hand")) part.hand = child.getAttribute("hand");
+                    if (child.hasAttribute("orient")) part.orient = child.getAttribute("orient");
+                    if (child.hasAttribute("radius")) part.radius = parseFloat(child.getAttribute("radius"));
+                    if (child.hasAttribute("lengthscale")) part.lengthScale = parseFloat(child.getAttribute("lengthscale"));
+                    rig.parts.push(part);
+                    break;
+                }
+                case "anchor": {
+                    const anchor = {};
+                    if (child.hasAttribute("x") || child.hasAttribute("y") || child.hasAttribute("z")) {
+                        anchor.position = ["x", "y", "z"].map(k => parseFloat(child.getAttribute(k) || "0"));
+                    }
+                    if (child.hasAttribute("facing")) anchor.facing = parseFloat(child.getAttribute("facing"));
+                    if (child.hasAttribute("scale")) anchor.scale = parseFloat(child.getAttribute("scale"));
+                    this.avatarAnchor = anchor;
+                    break;
+                }
+                case "person": {
+                    const overrides = {};
+                    for (const materialElem of child.children) {
+                        if (materialElem.tagName !== "material") {
+                            console.error(`Unknown element in <person>: <${materialElem.tagName}>`);
+                            return false;
+                        }
+                        if (!parseMaterial(materialElem, overrides)) return false;
+                    }
+                    rig.people.push(overrides);
+                    break;
+                }
+                default:
+                    console.error(`Unknown element in <avatar>: <${child.tagName}>`);
+                    return false;
+            }
+        }
+        const rigFile = elem.getAttribute("rig");
+        if (rigFile) {
+            this.avatarData = { rigFile };
+        } else if (rig.parts.length > 0) {
+            this.avatarData = rig;
+        }
+        return true;
+    }
+
+    /**
+     * Parse an avatar <material> into the rig file format, only the fields that are present
+     */
+    _parseAvatarMaterial(elem) {
+        const material = {};
+        const colorOf = (child) => {
+            const c = parseColor(child);
+            return [c.r, c.g, c.b];
+        };
+        const mapOf = (child) => {
+            const map = parseMap(child);
+            return { file: map.filename, repeatU: map.repeatU, repeatV: map.repeatV };
+        };
+        for (const child of elem.children) {
+            switch (child.tagName) {
+                case "diffuse":
+                case "ambient":
+                case "reflective":
+                case "specular":
+                case "emissive":
+                case "transparent":
+                    material[child.tagName] = colorOf(child);
+                    break;
+                case "shininess":
+                case "ior":
+                case "blend":
+                    material[child.tagName] = parseFloat(child.getAttribute("value"));
+                    break;
+                case "texture":
+                    material.texture = mapOf(child);
+                    break;
+                case "bumpmap":
+                    material.bumpmap = mapOf(child);
+                    material.bumpmap.normal = child.getAttribute("type") === "normal";
+                    break;
+                default:
+                    console.warn(`Unknown avatar material data <${child.tagName}>`);
+                    return null;
+            }
+        }
+        return material;
+    }
+
     /**
      * Helper to retrieve the root node (name === "root"), or null if not found.
      */
@@ -596,6 +768,20 @@ class XMLSceneParser {
         return Object.assign({}, this.cameraData);
     }
 
+    /**
+     * Retrieve the <avatar> rig description: { rigFile } or an inline rig, null if the scene has none.
+     */
+    getAvatarData() {
+        return this.avatarData;
+    }
+
+    /**
+     * Retrieve the avatar anchor { position, facing, scale } (fields may be missing), null if the scene has none.
+     */
+    getAvatarAnchor() {
+        return this.avatarAnchor;
+    }
+
     /**
      * Retrieve global data.
      */
@@ -0,0 +1,479 @@
+import { PrimitiveType, ObjectLayout } from './SceneDataStructures.js';
+
+// avatarPhysics.js: lets the avatar's hands and feet push scene objects around
+//
+// Primitives marked dynamic="true" in the scene file become rigid bodies. They sleep
+// where the scene file puts them until an avatar collider touches them, then fall,
+// slide and tip over under gravity, resting on the other (static) scene objects.
+//   - setScene(rows, rowCount, floatsPerRow, dynamicRows): scene rows as packed for the scene texture
+//   - setColliders(colliders, timestamp): avatar spheres { id, center, radius } from the latest pose
+//   - step(dt): advance the simulation, writes moved bodies back into the rows and returns their row range;
+//     colliders no pose has refreshed for COLLIDER_STALE_MS of steps are dropped
+//
+// Simplifications: static objects collide as their shape's box (spheres as spheres),
+// box-like bodies touch them with their 8 corners, sphere bodies with their surface,
+// and bodies do not collide with each other.
+
+const GRAVITY = [0, -9.8, 0];
+const MAX_SUBSTEP = 1 / 120;   // seconds
+const MAX_SUBSTEPS = 4;        // longer frames are slowed down instead of exploding
+const RESTITUTION = 0.3;       // bounce off static objects
+const HAND_RESTITUTION = 0.5;  // bounce off avatar colliders
+const BOUNCE_SPEED = 0.5;      // m/s, slower impacts do not bounce so resting objects settle
+const FRICTION = 0.5;
+const CONTACT_ITERATIONS = 4;  // impulse passes over the contacts with one static object
+const LINEAR_DAMPING = 0.2;    // per second
+const ANGULAR_DAMPING = 1.0;   // per second
+const SLEEP_LINEAR = 0.03;     // m/s
+const SLEEP_ANGULAR = 0.1;     // rad/s
+const SLEEP_TIME = 0.5;        // seconds below both before a body sleeps again
+const KILL_HEIGHT = -50;       // bodies that fall out of the world are put back
+const COLLIDER_STALE_MS = 250; // older collider samples do not give a velocity, older colliders are dropped
+
+// ——— 3-vector / row-major 3x3 helpers ——————————————————————————————————
+
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const length = (a) => Math.hypot(a[0], a[1], a[2]);
+const normalize = (a) => { const l = length(a); return l > 0 ? scale(a, 1 / l) : [0, 1, 0]; };
+
+const mulMat3Vec = (m, v) => [
+    m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+    m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+    m[6] * v[0] + m[7] * v[1] + m[8] * v[2]
+];
+
+const mulMat3 = (a, b) => {
+    const o = new Array(9);
+    for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) {
+            o[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+        }
+    }
+    return o;
+};
+
+const invertMat3 = (m) => {
+    const [a, b, c, d, e, f, g, h, i] = m;
+    const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+    if (Math.abs(det) < 1e-12) return null;
+    const s = 1 / det;
+    return [
+        A * s, -(b * i - c * h) * s, (b * f - c * e) * s,
+        B * s, (a * i - c * g) * s, -(a * f - c * d) * s,
+        C * s, -(a * h - b * g) * s, (a * e - b * d) * s
+    ];
+};
+
+// rotation matrix for angle |w| around w (Rodrigues)
+const rotationFromVector = (w) => {
+    const angle = length(w);
+    if (angle < 1e-9) return [1, 0, 0, 0, 1, 0, 0, 0, 1];
+    const [x, y, z] = scale(w, 1 / angle);
+    const c = Math.cos(angle), s = Math.sin(angle), t = 1 - c;
+    return [
+        t * x * x + c, t * x * y - s * z, t * x * z + s * y,
+        t * x * y + s * z, t * y * y + c, t * y * z - s * x,
+        t * x * z - s * y, t * y * z + s * x, t * z * z + c
+    ];
+};
+
+// Gram-Schmidt on the rows so accumulated rotations stay rotations
+const orthonormalize = (m) => {
+    const x = normalize([m[0], m[1], m[2]]);
+    let y = [m[3], m[4], m[5]];
+    y = normalize(sub(y, scale(x, dot(x, y))));
+    const z = cross(x, y);
+    return [...x, ...y, ...z];
+};
+
+// linear part and translation of the row-major world matrix stored in a scene row
+function readRowTransform(rows, row, floatsPerRow) {
+    const m = row * floatsPerRow + ObjectLayout.MATRIX;
+    return {
+        linear: [rows[m], rows[m + 1], rows[m + 2], rows[m + 4], rows[m + 5], rows[m + 6], rows[m + 8], rows[m + 9], rows[m + 10]],
+        translation: [rows[m + 3], rows[m + 7], rows[m + 11]]
+    };
+}
+
+// object space box of a row: the unit box, or the mesh bounds
+function readRowBox(rows, row, floatsPerRow) {
+    const base = row * floatsPerRow;
+    if (rows[base + ObjectLayout.TYPE] === PrimitiveType.SHAPE_MESH) {
+        const m = base + ObjectLayout.MESH;
+        return { min: [rows[m + 3], rows[m + 4], rows[m + 5]], max: [rows[m + 6], rows[m + 7], rows[m + 8]] };
+    }
+    return { min: [-0.5, -0.5, -0.5], max: [0.5, 0.5, 0.5] };
+}
+
+// ——— Shapes ——————————————————————————————————————————————————————
+
+// a scene object as seen by the collision tests: a box or a sphere in its own object space
+class Shape {
+    constructor(type, linear, translation, box) {
+        this.isSphere = type === PrimitiveType.SHAPE_SPHERE;
+        this.box = box;
+        this.setTransform(linear, translation);
+    }
+
+    setTransform(linear, translation) {
+        this.linear = linear;
+        this.translation = translation;
+        this.inverse = invertMat3(linear);
+    }
+
+    toObject(p) {
+        return mulMat3Vec(this.inverse, sub(p, this.translation));
+    }
+
+    toWorld(q) {
+        return add(mulMat3Vec(this.linear, q), this.translation);
+    }
+
+    // closest point of the solid shape to object space point q, and whether q is inside
+    closestPoint(q) {
+        if (this.isSphere) {
+            const l = length(q);
+            return { point: l > 0.5 ? scale(q, 0.5 / l) : q, inside: l < 0.5 };
+        }
+        const point = [0, 1, 2].map((k) => Math.max(this.box.min[k], Math.min(this.box.max[k], q[k])));
+        const inside = [0, 1, 2].every((k) => q[k] > this.box.min[k] && q[k] < this.box.max[k]);
+        return { point, inside };
+    }
+
+    // nearest surface point for an object space point inside the shape
+    surfacePoint(q) {
+        if (this.isSphere) {
+            const l = length(q);
+            return l > 1e-9 ? scale(q, 0.5 / l) : [0, 0.5, 0];
+        }
+        let best = 0, bestDepth = Infinity, bestValue = 0;
+        for (let k = 0; k < 3; k++) {
+            const toMin = q[k] - this.box.min[k];
+            const toMax = this.box.max[k] - q[k];
+            if (toMin < bestDepth) { best = k; bestDepth = toMin; bestValue = this.box.min[k]; }
+            if (toMax < bestDepth) { best = k; bestDepth = toMax; bestValue = this.box.max[k]; }
+        }
+        const out = q.slice();
+        out[best] = bestValue;
+        return out;
+    }
+
+    // world space penetration of point p: { normal, depth } pushing p out of the shape, or null
+    penetration(p) {
+        if (!this.inverse) return null;
+        const q = this.toObject(p);
+        if (!this.closestPoint(q).inside) return null;
+        const surface = this.toWorld(this.surfacePoint(q));
+        const push = sub(surface, p);
+        return { normal: normalize(push), depth: length(push) };
+    }
+}
+
+// ——— Physics ——————————————————————————————————————————————————————
+
+export class AvatarPhysics {
+    constructor() {
+        this.rows = null;
+        this.floatsPerRow = 0;
+        this.bodies = [];
+        this.statics = [];
+        this.colliders = [];        // { id, center, radius, velocity }
+        this.colliderHistory = new Map(); // id -> { center, time }
+        this.colliderAge = 0;       // ms of steps since setColliders()
+    }
+
+    setScene(rows, rowCount, floatsPerRow, dynamicRows) {
+        this.rows = rows;
+        this.floatsPerRow = floatsPerRow;
+        this.bodies = [];
+        this.statics = [];
+        const dynamic = new Set(dynamicRows);
+
+        for (let row = 0; row < rowCount; row++) {
+            const type = rows[row * floatsPerRow + ObjectLayout.TYPE];
+            const { linear, translation } = readRowTransform(rows, row, floatsPerRow);
+            const box = readRowBox(rows, row, floatsPerRow);
+            const shape = new Shape(type, linear, translation, box);
+            if (!shape.inverse) continue; // degenerate transform, nothing to touch
+
+            if (!dynamic.has(row)) {
+                this.statics.push(shape);
+                continue;
+            }
+            this.bodies.push(this._createBody(row, shape, linear, translation, box));
+        }
+    }
+
+    _createBody(row, shape, linear, translation, box) {
+        // the body's center is the center of its object space box
+        const boxCenter = scale(add(box.min, box.max), 0.5);
+        const center = add(mulMat3Vec(linear, boxCenter), translation);
+        const corners = [];
+        for (let i = 0; i < 8; i++) {
+            corners.push([
+                (i & 1) ? box.max[0] : box.min[0],
+                (i & 2) ? box.max[1] : box.min[1],
+                (i & 4) ? box.max[2] : box.min[2]
+            ]);
+        }
+        // unit density, inertia of a sphere around the bounding radius
+        const volume = Math.max(Math.abs(
+            linear[0] * (linear[4] * linear[8] - linear[5] * linear[7]) -
+            linear[1] * (linear[3] * linear[8] - linear[5] * linear[6]) +
+            linear[2] * (linear[3] * linear[7] - linear[4] * linear[6])
+        ) * (box.max[0] - box.min[0]) * (box.max[1] - box.min[1]) * (box.max[2] - box.min[2]), 1e-6);
+        // spheres collide with their surface, everything else only uses the radius for quick rejects
+        const radius = shape.isSphere
+            ? 0.5 * Math.max(...[0, 1, 2].map((c) => length([linear[c], linear[3 + c], linear[6 + c]])))
+            : Math.max(...corners.map((c) => length(mulMat3Vec(linear, sub(c, boxCenter)))));
+        const mass = volume;
+
+        return {
+            row,
+            shape,
+            baseLinear: linear,        // world linear part from the scene file (rotation and scale)
+            boxCenter,                 // object space center of the box
+            corners,                   // object space contact points for box-like bodies
+            initialCenter: center,
+            center: center.slice(),
+            rotation: [1, 0, 0, 0, 1, 0, 0, 0, 1], // applied on top of baseLinear
+            velocity: [0, 0, 0],
+            angularVelocity: [0, 0, 0],
+            invMass: 1 / mass,
+            invInertia: 1 / (0.4 * mass * radius * radius),
+            radius,
+            asleep: true,              // stays where the scene file put it until touched
+            stillTime: 0
+        };
+    }
+
+    // put every body back where the scene file placed it, returns the row range to upload
+    reset() {
+        for (const body of this.bodies) {
+            this._resetBody(body);
+            this._writeBody(body);
+        }
+        return this._rowRange(this.bodies);
+    }
+
+    _resetBody(body) {
+        body.center = body.initialCenter.slice();
+        body.rotation = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+        body.velocity = [0, 0, 0];
+        body.angularVelocity = [0, 0, 0];
+        body.asleep = true;
+        body.stillTime = 0;
+        this._updateShape(body);
+    }
+
+    /**
+     * Avatar collision spheres from the latest pose, velocities come from the previous sample of the same id
+     * @param {Array} colliders - { id, center: [x, y, z], radius } in world space
+     * @param {number} timestamp - pose timestamp in milliseconds
+     */
+    setColliders(colliders, timestamp) {
+        this.colliders = colliders.map((c) => {
+            const prev = this.colliderHistory.get(c.id);
+            let velocity = [0, 0, 0];
+            if (prev && timestamp > prev.time && timestamp - prev.time < COLLIDER_STALE_MS) {
+                velocity = scale(sub(c.center, prev.center), 1000 / (timestamp - prev.time));
+            }
+            this.colliderHistory.set(c.id, { center: c.center, time: timestamp });
+            return { ...c, velocity };
+        });
+        this.colliderAge = 0;
+    }
+
+    /**
+     * Advance the simulation by dt seconds
+     * @returns {Object|null} { firstRow, count } of the rows that changed, null if nothing moved
+     */
+    step(dt) {
+        // counted in steps rather than pose timestamps, which need not share the frame clock;
+        // when the pose stream stops, the avatar's last spheres must not keep pushing bodies
+        this.colliderAge += Math.max(0, dt) * 1000;
+        if (this.colliderAge > COLLIDER_STALE_MS) {
+            this.colliders = [];
+        }
+        if (this.bodies.length === 0 || dt <= 0) return null;
+        const substeps = Math.min(MAX_SUBSTEPS, Math.ceil(dt / MAX_SUBSTEP));
+        const h = Math.min(dt / substeps, MAX_SUBSTEP);
+
+        const moved = new Set();
+        for (let s = 0; s < substeps; s++) {
+            for (const body of this.bodies) {
+                this._collideAvatar(body);
+                if (body.asleep) continue;
+                this._integrate(body, h);
+                this._collideStatics(body);
+                this._updateSleep(body, h);
+                moved.add(body);
+            }
+        }
+
+        for (const body of moved) {
+            this._writeBody(body);
+        }
+        return this._rowRange([...moved]);
+    }
+
+    _rowRange(bodies) {
+        if (bodies.length === 0) return null;
+        const rows = bodies.map((b) => b.row);
+        const firstRow = Math.min(...rows);
+        return { firstRow, count: Math.max(...rows) - firstRow + 1 };
+    }
+
+    _integrate(body, h) {
+        body.velocity = add(body.velocity, scale(GRAVITY, h));
+        body.velocity = scale(body.velocity, Math.max(0, 1 - LINEAR_DAMPING * h));
+        body.angularVelocity = scale(body.angularVelocity, Math.max(0, 1 - ANGULAR_DAMPING * h));
+        body.center = add(body.center, scale(body.velocity, h));
+        body.rotation = orthonormalize(mulMat3(rotationFromVector(scale(body.angularVelocity, h)), body.rotation));
+
+        if (body.center[1] < KILL_HEIGHT) {
+            this._resetBody(body);
+            return;
+        }
+        this._updateShape(body);
+    }
+
+    // keep the collision shape in sync with center / rotation
+    _updateShape(body) {
+        const linear = mulMat3(body.rotation, body.baseLinear);
+        const translation = sub(body.center, mulMat3Vec(linear, body.boxCenter));
+        body.shape.setTransform(linear, translation);
+    }
+
+    _collideStatics(body) {
+        for (const shape of this.statics) {
+            const contacts = this._staticContacts(body, shape);
+            if (contacts.length === 0) continue;
+
+            // push out along the deepest contact, then let every contact point share the impulse
+            const deepest = contacts.reduce((a, b) => (b.depth > a.depth ? b : a));
+            const correction = scale(deepest.normal, deepest.depth);
+            body.center = add(body.center, correction);
+            this._updateShape(body);
+            for (let i = 0; i < CONTACT_ITERATIONS; i++) {
+                for (const c of contacts) {
+                    this._applyImpulse(body, add(c.point, correction), c.normal, [0, 0, 0], RESTITUTION);
+                }
+            }
+        }
+    }
+
+    // { point, normal, depth } where the body overlaps a static shape, normals point toward the body
+    _staticContacts(body, shape) {
+        if (body.shape.isSphere) {
+            // sphere body: closest point of the static shape to its center
+            const q = shape.toObject(body.center);
+            const closest = shape.toWorld(shape.closestPoint(q).point);
+            const toCenter = sub(body.center, closest);
+            const dist = length(toCenter);
+            if (dist >= body.radius) return [];
+            const normal = dist > 1e-9 ? scale(toCenter, 1 / dist) : [0, 1, 0];
+            return [{ point: closest, normal, depth: body.radius - dist }];
+        }
+        const contacts = [];
+        for (const corner of body.corners) {
+            const point = body.shape.toWorld(corner);
+            const hit = shape.penetration(point);
+            if (hit) {
+                contacts.push({ point, normal: hit.normal, depth: hit.depth });
+            }
+        }
+        return contacts;
+    }
+
+    _collideAvatar(body) {
+        for (const collider of this.colliders) {
+            // quick reject on bounding spheres
+            if (length(sub(collider.center, body.center)) > body.radius + collider.radius) continue;
+
+            const q = body.shape.toObject(collider.center);
+            const { point, inside } = body.shape.closestPoint(q);
+            let contact, normal, depth;
+            if (inside) {
+                // collider center inside the body: push out through the nearest face
+                contact = body.shape.toWorld(body.shape.surfacePoint(q));
+                normal = normalize(sub(collider.center, contact));
+                depth = length(sub(contact, collider.center)) + collider.radius;
+            } else {
+                contact = body.shape.toWorld(point);
+                const toBody = sub(contact, collider.center);
+                const dist = length(toBody);
+                if (dist >= collider.radius) continue;
+                normal = dist > 1e-9 ? scale(toBody, 1 / dist) : [0, 1, 0];
+                depth = collider.radius - dist;
+            }
+            body.asleep = false;
+            body.stillTime = 0;
+            this._resolveContact(body, contact, normal, depth, collider.velocity, HAND_RESTITUTION);
+        }
+    }
+
+    // impulse at world point p along normal (pointing into the body's free side) against a kinematic surface
+    _resolveContact(body, p, normal, depth, surfaceVelocity, restitution) {
+        // positional correction, the other side never moves
+        body.center = add(body.center, scale(normal, depth));
+        this._updateShape(body);
+        this._applyImpulse(body, add(p, scale(normal, depth)), normal, surfaceVelocity, restitution);
+    }
+
+    _applyImpulse(body, p, normal, surfaceVelocity, restitution) {
+        const r = sub(p, body.center);
+        const pointVelocity = add(body.velocity, cross(body.angularVelocity, r));
+        const relative = sub(pointVelocity, surfaceVelocity);
+        const vn = dot(relative, normal);
+        if (vn >= 0) return; // already separating
+
+        const bounce = -vn > BOUNCE_SPEED ? restitution : 0;
+        const rn = cross(r, normal);
+        const j = -(1 + bounce) * vn / (body.invMass + body.invInertia * dot(rn, rn));
+        let impulse = scale(normal, j);
+
+        // Coulomb friction against the tangential slip
+        const tangentVelocity = sub(relative, scale(normal, vn));
+        const slip = length(tangentVelocity);
+        if (slip > 1e-6) {
+            const t = scale(tangentVelocity, 1 / slip);
+            const rt = cross(r, t);
+            const jt = Math.min(slip / (body.invMass + body.invInertia * dot(rt, rt)), FRICTION * j);
+            impulse = sub(impulse, scale(t, jt));
+        }
+
+        body.velocity = add(body.velocity, scale(impulse, body.invMass));
+        body.angularVelocity = add(body.angularVelocity, scale(cross(r, impulse), body.invInertia));
+    }
+
+    _updateSleep(body, h) {
+        if (length(body.velocity) < SLEEP_LINEAR && length(body.angularVelocity) < SLEEP_ANGULAR) {
+            body.stillTime += h;
+            if (body.stillTime > SLEEP_TIME) {
+                body.asleep = true;
+                body.velocity = [0, 0, 0];
+                body.angularVelocity = [0, 0, 0];
+            }
+        } else {
+            body.stillTime = 0;
+        }
+    }
+
+    // write the body's world matrix (row-major) into its scene row
+    _writeBody(body) {
+        const { linear, translation } = body.shape;
+        const m = body.row * this.floatsPerRow + ObjectLayout.MATRIX;
+        this.rows.set([
+            linear[0], linear[1], linear[2], translation[0],
+            linear[3], linear[4], linear[5], translation[1],
+            linear[6], linear[7], linear[8], translation[2],
+            0, 0, 0, 1
+        ], m);
+    }
+}
@@ -0,0 +1,154 @@
+import { PrimitiveType, SceneMaterial, SceneFileMap } from './SceneDataStructures.js';
+
+// avatarRig.js: what the avatars look like, loaded from data instead of built into the renderer
+//
+// A rig description comes from a JSON rig file or an <avatar> block in the scene file (see XMLSceneParser):
+//   - materials: { name: material }, a material being
+//       { ambient, diffuse, specular, reflective, transparent, emissive: [r, g, b],
+//         shininess, ior, blend, texture: { file, repeatU, repeatV }, bumpmap: { file, repeatU, repeatV, normal } }
+//     fields left out keep the same defaults as a primitive in the scene file
+//   - parts: one scene row per avatar each, in order, except that hand parts go after all the others
+//       { name, primitive, material, landmark, size }               primitive centered on a landmark, scaled by size
+//                                                                    (one number or [x, y, z])
+//       { name, primitive, material, from, to, radius, lengthScale } primitive stretched between two landmarks,
+//                                                                    from / to may be lists that get averaged
+//     optional: hand: 'left' | 'right'  landmarks index the hand's 21 landmarks instead of the pose,
+//                                       the part is hidden while that hand is not tracked
+//               orient: 'face'          landmark parts turn with the tracked face, offset: [x, y, z]
+//                                       moves them in that frame (x right, y up, z out of the face)
+//   - people: [{ materialName: partial material }], overrides per avatar slot so people can be told apart
+// Landmarks are MediaPipe pose indices (0 nose, 11/12 shoulders, 15/16 wrists, 23/24 hips, 27/28 ankles).
+
+export const DEFAULT_RIG_FILE = 'rigs/default-rig.json';
+
+const PRIMITIVES = {
+    cube: PrimitiveType.SHAPE_CUBE,
+    cylinder: PrimitiveType.SHAPE_CYLINDER,
+    cone: PrimitiveType.SHAPE_CONE,
+    sphere: PrimitiveType.SHAPE_SPHERE
+};
+
+const COLOR_FIELDS = {
+    ambient: 'cAmbient',
+    diffuse: 'cDiffuse',
+    specular: 'cSpecular',
+    reflective: 'cReflective',
+    transparent: 'cTransparent',
+    emissive: 'cEmissive'
+};
+
+function buildMap(desc, isNormalMap) {
+    const map = new SceneFileMap();
+    map.isUsed = true;
+    map.filename = desc.file;
+    map.repeatU = desc.repeatU ?? 1.0;
+    map.repeatV = desc.repeatV ?? 1.0;
+    map.isNormalMap = isNormalMap;
+    return map;
+}
+
+function buildMaterial(desc) {
+    const mat = new SceneMaterial();
+    for (const [key, field] of Object.entries(COLOR_FIELDS)) {
+        if (desc[key]) {
+            mat[field] = { r: desc[key][0], g: desc[key][1], b: desc[key][2], a: 1 };
+        }
+    }
+    if (desc.shininess !== undefined) mat.shininess = desc.shininess;
+    if (desc.ior !== undefined) mat.ior = desc.ior;
+    if (desc.texture) {
+        mat.textureMap = buildMap(desc.texture, false);
+        mat.blend = 1.0; // like a <texture> without <blend>
+    }
+    if (desc.bumpmap) mat.bumpMap = buildMap(desc.bumpmap, !!desc.bumpmap.normal);
+    if (desc.blend !== undefined) mat.blend = desc.blend;
+    return mat;
+}
+
+export class AvatarRig {
+    constructor(description) {
+        this.materialDescriptions = description.materials || {};
+        this.people = description.people || [];
+        const parts = (description.parts || []).map((part, i) => this._checkPart(part, i));
+        if (parts.length === 0) {
+            throw new Error('Avatar rig has no parts');
+        }
+        // hand rows at the end, so the renderer can leave them alone while no hands are tracked
+        this.parts = [...parts.filter(part => !part.hand), ...parts.filter(part => part.hand)];
+        this.bodyPartCount = parts.filter(part => !part.hand).length;
+        this.materials = new Map(); // "slot:name" -> SceneMaterial, shared so texture indices stick
+    }
+
+    // fetchFile may stand in for fetch(), e.g. a SceneBundle's
+    static async load(url, fetchFile = fetch) {
+        const response = await fetchFile(url);
+        if (!response.ok) throw new Error(`Could not load avatar rig ${url} (${response.status})`);
+        return new AvatarRig(await response.json());
+    }
+
+    // validate a part description and fill in defaults, kind is 'joint' or 'segment'
+    _checkPart(part, i) {
+        const name = part.name || `part ${i}`;
+        const primitive = PRIMITIVES[part.primitive];
+        if (primitive === undefined) {
+            throw new Error(`Avatar rig: ${name} has unknown primitive "${part.primitive}"`);
+        }
+        if (!this.materialDescriptions[part.material]) {
+            throw new Error(`Avatar rig: ${name} uses undefined material "${part.material}"`);
+        }
+        if (part.hand !== undefined && part.hand !== 'left' && part.hand !== 'right') {
+            throw new Error(`Avatar rig: ${name} has unknown hand "${part.hand}"`);
+        }
+        const common = { name, primitive, material: part.material, hand: part.hand || null };
+        if (part.landmark !== undefined) {
+            const size = part.size ?? 0.24;
+            return {
+                ...common, kind: 'joint', landmark: part.landmark,
+                size: Array.isArray(size) ? size : [size, size, size],
+                offset: part.offset || [0, 0, 0],
+                orient: part.orient || null
+            };
+        }
+        if (part.from !== undefined && part.to !== undefined) {
+            return {
+                ...common, kind: 'segment',
+                from: part.from, to: part.to, radius: part.radius ?? 0.1, lengthScale: part.lengthScale ?? 1.0
+            };
+        }
+        throw new Error(`Avatar rig: ${name} needs a landmark, or from and to`);
+    }
+
+    getPartCount() {
+        return this.parts.length;
+    }
+
+    // parts before the hand parts
+    getBodyPartCount() {
+        return this.bodyPartCount;
+    }
+
+    /**
+     * Material of part partIndex for avatar slot person, with the slot's overrides applied
+     */
+    getMaterial(partIndex, person) {
+        const name = this.parts[partIndex].material;
+        const slot = this.people.length > 0 ? person % this.people.length : 0;
+        const key = `${slot}:${name}`;
+        if (!this.materials.has(key)) {
+            const overrides = (this.people[slot] || {})[name] || {};
+            this.materials.set(key, buildMaterial({ ...this.materialDescriptions[name], ...overrides }));
+        }
+        return this.materials.get(key);
+    }
+
+    /**
+     * Every material used by personCount avatars, e.g. for SceneFlattener.addTextureMaps()
+     */
+    getMaterials(personCount) {
+        const materials = new Set();
+        for (let person = 0; person < personCount; person++) {
+            this.parts.forEach((part, i) => materials.add(this.getMaterial(i, person)));
+        }
+        return [...materials];
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * BodyCameraController - Lets the tracked person steer the viewpoint
+ *
+ * Two modes, both relative to a neutral pose captured by calibrate():
+ *   - HEAD_PARALLAX: the nose moves the eye point while the camera keeps looking at
+ *     the same focus point, so the screen acts like a window into the room.
+ *     Stepping closer to the webcam (wider shoulders) moves the eye toward the focus.
+ *   - LEAN_ORBIT: leaning sideways or turning the shoulders orbits the camera around
+ *     the focus point, leaning forward/back tilts it up and down.
+ *
+ * The controller works on top of a base camera (setBase()), which the mouse controls
+ * and the scene reset keep up to date, and drives Camera.orientLookAt() every frame.
+ */
+
+export const BodyCameraMode = {
+  OFF: 'off',
+  HEAD_PARALLAX: 'headParallax',
+  LEAN_ORBIT: 'leanOrbit'
+};
+
+const NOSE = 0;
+const LEFT_SHOULDER = 11;
+const RIGHT_SHOULDER = 12;
+const LEFT_HIP = 23;
+const RIGHT_HIP = 24;
+
+/**
+ * Shrink |x| by the dead zone, so small movements around neutral do nothing
+ * and the response starts from zero at the edge of the zone
+ */
+function applyDeadZone(x, deadZone) {
+  const magnitude = Math.abs(x) - deadZone;
+  return magnitude > 0 ? Math.sign(x) * magnitude : 0;
+}
+
+function clamp(x, lo, hi) {
+  return Math.max(lo, Math.min(hi, x));
+}
+
+export class BodyCameraController {
+  constructor(camera, options = {}) {
+    this.camera = camera;
+    this.options = {
+      minVisibility: 0.5,     // landmarks below this are ignored
+      smoothing: 0.2,         // per frame blend toward the target, 1 = no smoothing
+      // head parallax
+      parallaxScale: 4.0,     // world units of eye movement per normalized image unit
+      parallaxDeadZone: 0.01, // normalized image units
+      depthScale: 1.0,        // how strongly stepping closer moves the eye toward the focus
+      depthDeadZone: 0.05,    // fraction of the neutral shoulder width
+      // lean orbit
+      leanGain: 300,          // degrees of orbit per meter of sideways / forward lean
+      turnGain: 90,           // degrees of orbit per radian of shoulder turn
+      leanDeadZone: 0.03,     // meters
+      turnDeadZone: 0.1,      // radians
+      maxYaw: 90,             // degrees
+      maxPitch: 60            // degrees
+    };
+    Object.assign(this.options, options);
+
+    this.mode = BodyCameraMode.OFF;
+    this.neutral = null;          // body measurements of the neutral pose
+    this.needsCalibration = true; // take the next usable pose as neutral
+    this.offset = { x: 0, y: 0, depth: 0, yaw: 0, pitch: 0 }; // smoothed camera offset
+    this.base = null;             // { eye, focus, up } the offsets are applied to
+    this.onCalibrated = null;     // optional callback
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this.offset = { x: 0, y: 0, depth: 0, yaw: 0, pitch: 0 };
+    if (mode === BodyCameraMode.OFF) {
+      this.restoreBase();
+    } else {
+      this.needsCalibration = true;
+    }
+  }
+
+  isActive() {
+    return this.mode !== BodyCameraMode.OFF;
+  }
+
+  /**
+   * Use the next pose as the neutral position
+   */
+  calibrate() {
+    this.needsCalibration = true;
+  }
+
+  /**
+   * Camera the body offsets are relative to
+   */
+  setBase(eye, focus, up) {
+    this.base = {
+      eye: vec3.clone(eye),
+      focus: vec3.clone(focus),
+      up: vec3.clone(up)
+    };
+  }
+
+  /**
+   * Put the camera back on the base camera, without any body offset
+   */
+  restoreBase() {
+    if (this.base) {
+      this.camera.orientLookAt(this.base.eye, this.base.focus, this.base.up);
+    }
+  }
+
+  /**
+   * Move the camera for the latest pose frame, call once per rendered frame
+   * @param {Object} poseData - Filtered 'pose-data' frame, the person in slot 0 drives the camera
+   */
+  update(poseData) {
+    if (!this.isActive() || !this.base) {
+      return;
+    }
+
+    const pose = this._primaryPose(poseData);
+    const measurements = pose ? this._measure(pose) : null;
+    if (measurements && this.needsCalibration) {
+      this.neutral = measurements;
+      this.needsCalibration = false;
+      if (this.onCalibrated) this.onCalibrated();
+    }
+
+    // with nobody in view the camera eases back to the base camera
+    const target = { x: 0, y: 0, depth: 0, yaw: 0, pitch: 0 };
+    if (measurements && this.neutral) {
+      if (this.mode === BodyCameraMode.HEAD_PARALLAX) {
+        this._parallaxTarget(measurements, target);
+      } else if (this.mode === BodyCameraMode.LEAN_ORBIT) {
+        this._orbitTarget(measurements, target);
+      }
+    }
+
+    const a = this.options.smoothing;
+    for (const key of Object.keys(this.offset)) {
+      this.offset[key] += a * (target[key] - this.offset[key]);
+    }
+    this._applyOffset();
+  }
+
+  _primaryPose(poseData) {
+    if (!poseData || !poseData.poses || poseData.poses.length === 0) {
+      return null;
+    }
+    return poseData.poses.find((pose) => pose.personId === 0) || poseData.poses[0];
+  }
+
+  /**
+   * Body measurements used by both modes, null when the needed landmarks are not visible
+   */
+  _measure(pose) {
+    const lm = pose.landmarks;
+    const visible = (i) => lm && lm[i] && (lm[i].visibility === undefined || lm[i].visibility >= this.options.minVisibility);
+    if (!visible(NOSE) || !visible(LEFT_SHOULDER) || !visible(RIGHT_SHOULDER)) {
+      return null;
+    }
+
+    const m = {
+      // normalized image coordinates
+      noseX: lm[NOSE].x,
+      noseY: lm[NOSE].y,
+      shoulderWidth: Math.hypot(lm[LEFT_SHOULDER].x - lm[RIGHT_SHOULDER].x, lm[LEFT_SHOULDER].y - lm[RIGHT_SHOULDER].y),
+      sideLean: 0,
+      forwardLean: 0,
+      turn: 0
+    };
+
+    // world landmarks are in meters around the hips, which makes lean and turn scale free
+    const w = pose.worldLandmarks;
+    if (w && w[LEFT_SHOULDER] && w[RIGHT_SHOULDER] && w[LEFT_HIP] && w[RIGHT_HIP]) {
+      const shoulder = [
+        (w[LEFT_SHOULDER].x + w[RIGHT_SHOULDER].x) / 2,
+        (w[LEFT_SHOULDER].z + w[RIGHT_SHOULDER].z) / 2
+      ];
+      const hip = [
+        (w[LEFT_HIP].x + w[RIGHT_HIP].x) / 2,
+        (w[LEFT_HIP].z + w[RIGHT_HIP].z) / 2
+      ];
+      m.sideLean = shoulder[0] - hip[0];
+      m.forwardLean = shoulder[1] - hip[1];
+      m.turn = Math.atan2(w[RIGHT_SHOULDER].z - w[LEFT_SHOULDER].z, w[RIGHT_SHOULDER].x - w[LEFT_SHOULDER].x);
+    }
+    return m;
+  }
+
+  _parallaxTarget(m, target) {
+    const o = this.options;
+    // the webcam sees the user mirrored: moving to their right moves the nose left in the image
+    target.x = -applyDeadZone(m.noseX - this.neutral.noseX, o.parallaxDeadZone) * o.parallaxScale;
+    target.y = -applyDeadZone(m.noseY - this.neutral.noseY, o.parallaxDeadZone) * o.parallaxScale;
+    if (this.neutral.shoulderWidth > 0) {
+      const closer = m.shoulderWidth / this.neutral.shoulderWidth - 1;
+      target.depth = clamp(applyDeadZone(closer, o.depthDeadZone) * o.depthScale, -1, 0.8);
+    }
+  }
+
+  _orbitTarget(m, target) {
+    const o = this.options;
+    // wrap the turn difference into [-PI, PI]
+    let turn = m.turn - this.neutral.turn;
+    turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+
+    const lean = applyDeadZone(m.sideLean - this.neutral.sideLean, o.leanDeadZone);
+    const yaw = lean * o.leanGain + applyDeadZone(turn, o.turnDeadZone) * o.turnGain;
+    const pitch = applyDeadZone(m.forwardLean - this.neutral.forwardLean, o.leanDeadZone) * o.leanGain;
+    target.yaw = clamp(yaw, -o.maxYaw, o.maxYaw);
+    target.pitch = clamp(pitch, -o.maxPitch, o.maxPitch);
+  }
+
+  _applyOffset() {
+    const { eye, focus, up } = this.base;
+    const toEye = vec3.sub(vec3.create(), eye, focus);
+    const distance = vec3.length(toEye);
+    if (distance <= 0) return;
+
+    // camera axes of the base camera
+    const back = vec3.scale(vec3.create(), toEye, 1 / distance);
+    const right = vec3.cross(vec3.create(), up, back);
+    vec3.normalize(right, right);
+    const camUp = vec3.cross(vec3.create(), back, right);
+
+    const newEye = vec3.clone(eye);
+    if (this.mode === BodyCameraMode.HEAD_PARALLAX) {
+      vec3.scaleAndAdd(newEye, newEye, right, this.offset.x);
+      vec3.scaleAndAdd(newEye, newEye, camUp, this.offset.y);
+      vec3.scaleAndAdd(newEye, newEye, back, -this.offset.depth * distance);
+    } else {
+      // yaw around world up through the focus, then pitch around the camera's right axis
+      const rotation = mat4.create();
+      mat4.rotate(rotation, rotation, this.offset.yaw * Math.PI / 180, [0, 1, 0]);
+      mat4.rotate(rotation, rotation, this.offset.pitch * Math.PI / 180, right);
+      const rotated = vec3.transformMat4(vec3.create(), toEye, rotation);
+      vec3.add(newEye, focus, rotated);
+    }
+    this.camera.orientLookAt(newEye, focus, up);
+  }
+}
@@ -0,0 +1,154 @@
+import { PrimitiveType, ObjectLayout } from './SceneDataStructures.js';
+
+/**
+ * BVH over the object rows of the scene texture, one object per leaf
+ * (SceneFlattener also builds one per mesh, over its triangles)
+ *   - build(bounds): build the hierarchy for an array of world-space { min, max } boxes
+ *   - refit(bounds): keep the hierarchy, recompute node boxes (cheap, for moving objects)
+ *   - getFloat32Array(): nodes packed for the shader, 2 RGBA texels per node:
+ *         (min.xyz, left child)  (max.xyz, right child)
+ *     leaves store left = -1 and right = object row
+ *   - getFloat32Array(nodeOffset, objectOffset): the same, for a BVH stored behind others in one texture
+ */
+export class BVH {
+    constructor() {
+        this.nodes = [];        // { min, max, left, right, object }
+        this._dataArray = new Float32Array(0);
+    }
+
+    build(bounds) {
+        this.nodes = [];
+        if (bounds.length === 0) {
+            this._pack();
+            return;
+        }
+        const centroids = bounds.map((b) => [
+            (b.min[0] + b.max[0]) * 0.5,
+            (b.min[1] + b.max[1]) * 0.5,
+            (b.min[2] + b.max[2]) * 0.5
+        ]);
+        const indices = bounds.map((b, i) => i);
+        this._buildNode(indices, bounds, centroids);
+        this._pack();
+    }
+
+    // nodes are stored depth-first with parents before children
+    _buildNode(indices, bounds, centroids) {
+        const nodeIndex = this.nodes.length;
+        const node = { min: null, max: null, left: -1, right: -1, object: -1 };
+        this.nodes.push(node);
+
+        if (indices.length === 1) {
+            node.object = indices[0];
+            node.min = bounds[indices[0]].min.slice();
+            node.max = bounds[indices[0]].max.slice();
+            return nodeIndex;
+        }
+
+        // split at the median centroid along the widest axis
+        const cMin = [Infinity, Infinity, Infinity];
+        const cMax = [-Infinity, -Infinity, -Infinity];
+        for (const i of indices) {
+            for (let k = 0; k < 3; k++) {
+                cMin[k] = Math.min(cMin[k], centroids[i][k]);
+                cMax[k] = Math.max(cMax[k], centroids[i][k]);
+            }
+        }
+        const extent = [cMax[0] - cMin[0], cMax[1] - cMin[1], cMax[2] - cMin[2]];
+        const axis = extent[0] > extent[1]
+            ? (extent[0] > extent[2] ? 0 : 2)
+            : (extent[1] > extent[2] ? 1 : 2);
+        indices.sort((a, b) => centroids[a][axis] - centroids[b][axis]);
+        const mid = indices.length >> 1;
+
+        node.left = this._buildNode(indices.slice(0, mid), bounds, centroids);
+        node.right = this._buildNode(indices.slice(mid), bounds, centroids);
+        this._mergeChildren(node);
+        return nodeIndex;
+    }
+
+    refit(bounds) {
+        // children come after their parent, so walk backwards
+        for (let n = this.nodes.length - 1; n >= 0; n--) {
+            const node = this.nodes[n];
+            if (node.object >= 0) {
+                node.min = bounds[node.object].min.slice();
+                node.max = bounds[node.object].max.slice();
+            } else {
+                this._mergeChildren(node);
+            }
+        }
+        this._pack();
+    }
+
+    _mergeChildren(node) {
+        const l = this.nodes[node.left];
+        const r = this.nodes[node.right];
+        node.min = [Math.min(l.min[0], r.min[0]), Math.min(l.min[1], r.min[1]), Math.min(l.min[2], r.min[2])];
+        node.max = [Math.max(l.max[0], r.max[0]), Math.max(l.max[1], r.max[1]), Math.max(l.max[2], r.max[2])];
+    }
+
+    _pack() {
+        const data = new Float32Array(this.nodes.length * 8);
+        this.nodes.forEach((node, n) => {
+            const o = n * 8;
+            data.set(node.min, o);
+            data.set(node.max, o + 4);
+            data[o + 3] = node.object >= 0 ? -1 : node.left;
+            data[o + 7] = node.object >= 0 ? node.object : node.right;
+        });
+        this._dataArray = data;
+    }
+
+    getNodeCount() {
+        return this.nodes.length;
+    }
+
+    // child links shifted by nodeOffset, leaf objects by objectOffset
+    getFloat32Array(nodeOffset = 0, objectOffset = 0) {
+        if (nodeOffset === 0 && objectOffset === 0) {
+            return this._dataArray;
+        }
+        const data = this._dataArray.slice();
+        for (let o = 0; o < data.length; o += 8) {
+            if (data[o + 3] < 0) {
+                data[o + 7] += objectOffset;
+            } else {
+                data[o + 3] += nodeOffset;
+                data[o + 7] += nodeOffset;
+            }
+        }
+        return data;
+    }
+}
+
+/**
+ * World-space bounds of the object stored in row `row` of a packed scene array
+ * Primitives live in the unit box [-0.5, 0.5]^3, meshes carry their own object-space box.
+ */
+export function computeRowBounds(dataArray, row, floatsPerRow) {
+    const base = row * floatsPerRow;
+    const type = dataArray[base + ObjectLayout.TYPE];
+
+    let lo = [-0.5, -0.5, -0.5];
+    let hi = [0.5, 0.5, 0.5];
+    if (type === PrimitiveType.SHAPE_MESH) {
+        const m = base + ObjectLayout.MESH;
+        lo = [dataArray[m + 3], dataArray[m + 4], dataArray[m + 5]];
+        hi = [dataArray[m + 6], dataArray[m + 7], dataArray[m + 8]];
+    }
+
+    // transform the box center, extents grow by |M| (row-major world matrix)
+    const M = dataArray.subarray(base + ObjectLayout.MATRIX, base + ObjectLayout.MATRIX + 16);
+    const c = [(lo[0] + hi[0]) * 0.5, (lo[1] + hi[1]) * 0.5, (lo[2] + hi[2]) * 0.5];
+    const e = [(hi[0] - lo[0]) * 0.5, (hi[1] - lo[1]) * 0.5, (hi[2] - lo[2]) * 0.5];
+    const min = [0, 0, 0];
+    const max = [0, 0, 0];
+    for (let r = 0; r < 3; r++) {
+        const center = M[r * 4] * c[0] + M[r * 4 + 1] * c[1] + M[r * 4 + 2] * c[2] + M[r * 4 + 3];
+        const extent = Math.abs(M[r * 4]) * e[0] + Math.abs(M[r * 4 + 1]) * e[1] + Math.abs(M[r * 4 + 2]) * e[2];
+        min[r] = center - extent;
+        max[r] = center + extent;
+    }
+    return { min, max };
+}
@@ -1,3 +1,12 @@
+import { Gesture } from './gestureRecognizer.js';
+
+const ORBIT_DEG_PER_PIXEL = 0.3;  // drag rotation speed
+const MAX_ELEVATION_DEG = 85;     // orbit and fly pitch stop short of straight up/down
+const ZOOM_PER_WHEEL_UNIT = 0.001; // exponential zoom, 1 wheel notch (~100) = ~10% closer
+const MIN_FOCUS_DISTANCE = 0.05;
+const FLY_SPEED = 2.0;            // world units per second, x3 with shift
+const FLY_KEYS = ['w', 'a', 's', 'd', 'q', 'e'];
+
 // processes the user/client's actions, computes deltaXY which are then used by camera 
 export class Controls {
     constructor(renderer) {
@@ -6,9 +15,19 @@ export class Controls {
         this.camera = renderer.camera;
         this.isectOnly = false;     // intersection only mode
         this.isDragging = false;    // isDragging is when user is holding down mouse + moving it
+        this.dragButton = 0;        // 0 = left (orbit / look), 2 = right (pan)
         this.prevMouseX = 0;        // where the mouse was last seen 
         this.prevMouseY = 0;        // where the mouse was last seen 
+        this.focusPoint = vec3.create(); // orbit center, follows pans and fly moves
+        this.flyMode = false;       // drag looks around and WASD moves instead of orbiting
+        this.keysDown = new Set();  // fly keys currently held
+        this.fastFly = false;       // shift held
+        this.lastUpdateTime = null;
+        this.touches = null;        // previous touch positions for touch gestures
         this.setupEventListeners(); // listen to client event 
+        this.setupCameraControls();
+        this.setupGestureControls();
+        this.setupPlacementControls();
     }
 
     setupEventListeners() {
@@ -18,6 +37,396 @@ export class Controls {
             this.renderer.maxDepth = parseInt(event.target.value);
             document.getElementById("maxDepthVal").innerText = event.target.value;
         });
+
+        // Reflections on / off, also toggled by raising both hands
+        document.getElementById("reflectionsEnabled").addEventListener("change", (event) => {
+            this.renderer.reflectionsEnabled = event.target.checked;
+        });
+
+        // Soft shadow samples for area and spot lights
+        document.getElementById("lightSamples").addEventListener("input", (event) => {
+            this.renderer.areaLightSamples = parseInt(event.target.value);
+            document.getElementById("lightSamplesVal").innerText = event.target.value;
+        });
+
+        // Emissive objects as light sources
+        document.getElementById("emissiveLighting").addEventListener("change", (event) => {
+            this.renderer.emissiveLighting = event.target.checked;
+        });
+
+        // Dynamic resolution: trace fewer pixels to hold the target frame rate
+        document.getElementById("dynamicResolution").addEventListener("change", (event) => {
+            this.renderer.resolutionScaler.setEnabled(event.target.checked);
+        });
+        document.getElementById("targetFps").addEventListener("input", (event) => {
+            this.renderer.resolutionScaler.setTargetFps(parseInt(event.target.value));
+            document.getElementById("targetFpsVal").innerText = event.target.value;
+        });
+
+        // Progressive refinement: average jittered frames while nothing changes
+        document.getElementById("accumulation").addEventListener("change", (event) => {
+            this.renderer.accumulation = event.target.checked;
+            this.renderer.resetAccumulation();
+        });
+        document.getElementById("maxSamples").addEventListener("input", (event) => {
+            this.renderer.maxSamples = parseInt(event.target.value);
+            document.getElementById("maxSamplesVal").innerText = event.target.value;
+        });
+
+        // Avatar physics: hands and feet push the scene's dynamic objects
+        document.getElementById("avatarPhysics").addEventListener("change", (event) => {
+            this.renderer.physicsEnabled = event.target.checked;
+        });
+        document.getElementById("resetObjects").addEventListener("click", () => {
+            this.renderer.resetDynamicObjects();
+        });
+
+        // Pose smoothing
+        const filterMode = document.getElementById("filterMode");
+        filterMode.addEventListener("change", (event) => {
+            this.renderer.poseFilter.setOptions({ mode: event.target.value });
+        });
+        const filterSliders = [
+            { id: "filterMinCutoff", option: "minCutoff" },
+            { id: "filterBeta", option: "beta" },
+            { id: "filterMinVisibility", option: "minVisibility" }
+        ];
+        for (const { id, option } of filterSliders) {
+            document.getElementById(id).addEventListener("input", (event) => {
+                this.renderer.poseFilter.setOptions({ [option]: parseFloat(event.target.value) });
+                document.getElementById(id + "Val").innerText = event.target.value;
+            });
+        }
+
+        this.setupRecordingControls();
+    }
+
+    setupRecordingControls() {
+        const recorder = this.renderer.poseRecorder;
+        const player = this.renderer.posePlayer;
+
+        const recordButton = document.getElementById("recordButton");
+        const downloadButton = document.getElementById("downloadRecording");
+        recordButton.addEventListener("click", () => {
+            if (recorder.recording) {
+                recorder.stop();
+                recordButton.innerText = "Record";
+                downloadButton.disabled = !recorder.hasFrames();
+            } else {
+                recorder.start();
+                recordButton.innerText = "Stop Recording";
+                downloadButton.disabled = true;
+            }
+        });
+        downloadButton.addEventListener("click", () => recorder.download());
+
+        const playButton = document.getElementById("playRecording");
+        const seekSlider = document.getElementById("recordingSeek");
+        const timeOutput = document.getElementById("recordingTime");
+        document.getElementById("recordingInput").addEventListener("change", async (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            try {
+                await player.load(file);
+                playButton.disabled = false;
+                seekSlider.disabled = false;
+            } catch (e) {
+                console.error('Failed to load pose recording:', e);
+                this.renderer.statusElem.textContent = 'Error loading recording: ' + e.message;
+            }
+        });
+        playButton.addEventListener("click", () => {
+            if (player.playing) player.pause();
+            else player.play();
+        });
+        // slider works in thousandths of the recording
+        seekSlider.addEventListener("input", (event) => {
+            player.seek(player.duration * parseInt(event.target.value) / 1000);
+        });
+        document.getElementById("recordingLoop").addEventListener("change", (event) => {
+            player.setLoop(event.target.checked);
+        });
+        document.getElementById("recordingSpeed").addEventListener("change", (event) => {
+            player.setSpeed(parseFloat(event.target.value));
+        });
+
+        player.onUpdate = (position, duration, playing) => {
+            playButton.innerText = playing ? "Pause" : "Play";
+            if (document.activeElement !== seekSlider) {
+                seekSlider.value = duration > 0 ? Math.round(1000 * position / duration) : 0;
+            }
+            timeOutput.innerText = `${(position / 1000).toFixed(1)}s / ${(duration / 1000).toFixed(1)}s`;
+        };
+    }
+
+    setupCameraControls() {
+        const canvas = this.canvas;
+        // no browser scrolling / context menu while using the canvas
+        canvas.style.touchAction = "none";
+        canvas.addEventListener("contextmenu", (event) => event.preventDefault());
+
+        canvas.addEventListener("mousedown", (event) => {
+            this.isDragging = true;
+            this.dragButton = event.button;
+            this.prevMouseX = event.clientX;
+            this.prevMouseY = event.clientY;
+        });
+        window.addEventListener("mousemove", (event) => {
+            if (!this.isDragging) return;
+            const dx = event.clientX - this.prevMouseX;
+            const dy = event.clientY - this.prevMouseY;
+            this.prevMouseX = event.clientX;
+            this.prevMouseY = event.clientY;
+            if (this.dragButton === 2 || event.shiftKey) {
+                this.pan(dx, dy);
+            } else if (this.flyMode) {
+                this.look(dx, dy);
+            } else {
+                this.orbit(dx, dy);
+            }
+        });
+        window.addEventListener("mouseup", () => {
+            this.isDragging = false;
+        });
+        canvas.addEventListener("wheel", (event) => {
+            event.preventDefault();
+            this.zoom(event.deltaY);
+        }, { passive: false });
+
+        // touch: one finger orbits (or looks in fly mode), two fingers pinch to zoom and drag to pan
+        const touchList = (event) => Array.from(event.touches).map((t) => ({ x: t.clientX, y: t.clientY }));
+        canvas.addEventListener("touchstart", (event) => {
+            event.preventDefault();
+            this.touches = touchList(event);
+        }, { passive: false });
+        canvas.addEventListener("touchmove", (event) => {
+            event.preventDefault();
+            const touches = touchList(event);
+            const prev = this.touches;
+            this.touches = touches;
+            if (!prev || prev.length !== touches.length) return;
+            if (touches.length === 1) {
+                const dx = touches[0].x - prev[0].x;
+                const dy = touches[0].y - prev[0].y;
+                if (this.flyMode) this.look(dx, dy);
+                else this.orbit(dx, dy);
+            } else if (touches.length === 2) {
+                const spread = (t) => Math.hypot(t[0].x - t[1].x, t[0].y - t[1].y);
+                const mid = (t) => ({ x: (t[0].x + t[1].x) / 2, y: (t[0].y + t[1].y) / 2 });
+                // pinching in by half zooms out by the same factor as the wheel would
+                const ratio = spread(prev) / Math.max(spread(touches), 1);
+                this.zoom(Math.log(ratio) / ZOOM_PER_WHEEL_UNIT);
+                this.pan(mid(touches).x - mid(prev).x, mid(touches).y - mid(prev).y);
+            }
+        }, { passive: false });
+        canvas.addEventListener("touchend", (event) => {
+            this.touches = touchList(event);
+        });
+
+        // fly mode keys, ignored while typing into the panel inputs
+        window.addEventListener("keydown", (event) => {
+            if (event.target.closest && event.target.closest("input, select, textarea")) return;
+            this.fastFly = event.shiftKey;
+            const key = event.key.toLowerCase();
+            if (this.flyMode && FLY_KEYS.includes(key)) {
+                this.keysDown.add(key);
+                event.preventDefault();
+            }
+        });
+        window.addEventListener("keyup", (event) => {
+            this.fastFly = event.shiftKey;
+            this.keysDown.delete(event.key.toLowerCase());
+        });
+        window.addEventListener("blur", () => this.keysDown.clear());
+
+        document.getElementById("flyMode").addEventListener("change", (event) => {
+            this.flyMode = event.target.checked;
+            this.keysDown.clear();
+        });
+        // body driven camera
+        const bodyStatus = document.getElementById("bodyCameraStatus");
+        this.renderer.bodyCamera.onCalibrated = () => {
+            bodyStatus.innerText = "Calibrated";
+        };
+        document.getElementById("bodyCameraMode").addEventListener("change", (event) => {
+            const bodyCamera = this.renderer.bodyCamera;
+            if (!bodyCamera.isActive()) {
+                // start from wherever the mouse left the camera
+                bodyCamera.setBase(this.camera.getEyePoint(), this.focusPoint, this.camera.getUpVector());
+            }
+            bodyCamera.setMode(event.target.value);
+            bodyStatus.innerText = event.target.value === "off" ? "" : "Stand in your neutral position...";
+        });
+        document.getElementById("bodyCameraCalibrate").addEventListener("click", () => {
+            this.renderer.bodyCamera.calibrate();
+            bodyStatus.innerText = "Stand in your neutral position...";
+        });
+
+        document.getElementById("resetCamera").addEventListener("click", () => {
+            if (this.renderer.sceneReady) {
+                this.renderer.resetScene();
+            }
+        });
+    }
+
+    // body gestures: clap reloads the scene, raising both hands toggles reflections
+    setupGestureControls() {
+        const actionsToggle = document.getElementById("gestureActions");
+        const lastGesture = document.getElementById("lastGesture");
+        const reflectionsToggle = document.getElementById("reflectionsEnabled");
+
+        window.addEventListener("pose-gesture", (event) => {
+            const { gesture, personId, hand } = event.detail;
+            lastGesture.innerText = `${gesture}${hand ? ` (${hand})` : ""}, person ${personId}`;
+            if (!actionsToggle.checked) return;
+
+            if (gesture === Gesture.CLAP) {
+                this.renderer.reloadScene();
+            } else if (gesture === Gesture.RAISE_BOTH_HANDS) {
+                this.renderer.reflectionsEnabled = !this.renderer.reflectionsEnabled;
+                reflectionsToggle.checked = this.renderer.reflectionsEnabled;
+            }
+        });
+    }
+
+    // avatar anchor sliders and the height calibration, see PoseSpaceMapper
+    setupPlacementControls() {
+        const mapper = this.renderer.poseMapper;
+        const status = document.getElementById("poseCalibrationStatus");
+        mapper.onCalibrated = (calibration) => {
+            status.innerText = calibration.source === "world"
+                ? `Calibrated, measured ${calibration.height.toFixed(2)} m`
+                : "Calibrated";
+            this.renderer.appliedPoseData = null; // place the current pose again
+        };
+        document.getElementById("userHeight").addEventListener("change", (event) => {
+            const cm = parseFloat(event.target.value);
+            if (cm > 0) {
+                mapper.setOptions({ userHeight: cm / 100 });
+                mapper.clearCalibration();
+                status.innerText = "Height changed, calibrate again";
+            }
+        });
+        document.getElementById("poseCalibrate").addEventListener("click", () => {
+            mapper.calibrate();
+            status.innerText = "Stand up straight, whole body in view...";
+        });
+
+        const placementSliders = [
+            { id: "avatarX", apply: (v) => ({ position: [v, mapper.anchor.position[1], mapper.anchor.position[2]] }) },
+            { id: "avatarZ", apply: (v) => ({ position: [mapper.anchor.position[0], mapper.anchor.position[1], v] }) },
+            { id: "avatarFacing", apply: (v) => ({ facing: v }) }
+        ];
+        for (const { id, apply } of placementSliders) {
+            document.getElementById(id).addEventListener("input", (event) => {
+                mapper.setAnchor(apply(parseFloat(event.target.value)));
+                document.getElementById(id + "Val").innerText = event.target.value;
+                this.renderer.appliedPoseData = null;
+            });
+        }
+    }
+
+    // show the anchor of a freshly loaded scene on the placement sliders
+    updateAvatarPlacement() {
+        const anchor = this.renderer.poseMapper.anchor;
+        const values = { avatarX: anchor.position[0], avatarZ: anchor.position[2], avatarFacing: anchor.facing };
+        for (const [id, value] of Object.entries(values)) {
+            document.getElementById(id).value = value;
+            document.getElementById(id + "Val").innerText = value;
+        }
+        this.renderer.appliedPoseData = null;
+    }
+
+    // orbit center after the camera has been placed, e.g. the scene file's focus point
+    setFocusPoint(point) {
+        vec3.copy(this.focusPoint, point);
+    }
+
+    getRightVector() {
+        const right = vec3.cross(vec3.create(), this.camera.getLookVector(), this.camera.getUpVector());
+        return vec3.normalize(right, right);
+    }
+
+    // pitch angle (degrees) that keeps the look vector within MAX_ELEVATION_DEG of the horizon
+    _clampPitch(deg) {
+        const look = this.camera.getLookVector();
+        const elevation = Math.asin(Math.max(-1, Math.min(1, look[1]))) * 180 / Math.PI;
+        const target = Math.max(-MAX_ELEVATION_DEG, Math.min(MAX_ELEVATION_DEG, elevation + deg));
+        return target - elevation;
+    }
+
+    // rotate the camera around the focus point, horizontal drags turn around world up
+    orbit(dx, dy) {
+        this._editCamera(() => {
+            this.camera.rotate(this.focusPoint, vec3.fromValues(0, 1, 0), -dx * ORBIT_DEG_PER_PIXEL);
+            const pitch = this._clampPitch(-dy * ORBIT_DEG_PER_PIXEL);
+            this.camera.rotate(this.focusPoint, this.getRightVector(), pitch);
+        });
+    }
+
+    // turn the camera in place (fly mode), the focus point stays in front of it
+    look(dx, dy) {
+        this._editCamera(() => {
+            const distance = vec3.distance(this.camera.getEyePoint(), this.focusPoint);
+            const eye = this.camera.getEyePoint();
+            this.camera.rotate(eye, vec3.fromValues(0, 1, 0), -dx * ORBIT_DEG_PER_PIXEL);
+            const pitch = this._clampPitch(-dy * ORBIT_DEG_PER_PIXEL);
+            this.camera.rotate(eye, this.getRightVector(), pitch);
+            vec3.scaleAndAdd(this.focusPoint, eye, this.camera.getLookVector(), distance);
+        });
+    }
+
+    // move the camera and focus point in the view plane, the scene follows the cursor at the focus depth
+    pan(dx, dy) {
+        this._editCamera(() => {
+            const distance = vec3.distance(this.camera.getEyePoint(), this.focusPoint);
+            const viewHeight = 2 * distance * Math.tan(this.camera.getViewAngle() * Math.PI / 360);
+            const scale = viewHeight / Math.max(this.canvas.clientHeight, 1);
+            this._moveCamera(vec3.fromValues(-dx * scale, dy * scale, 0), true);
+        });
+    }
+
+    // dolly toward the focus point, positive delta moves away
+    zoom(delta) {
+        this._editCamera(() => {
+            const distance = vec3.distance(this.camera.getEyePoint(), this.focusPoint);
+            const target = Math.max(MIN_FOCUS_DISTANCE, distance * Math.exp(delta * ZOOM_PER_WHEEL_UNIT));
+            this._moveCamera(vec3.fromValues(0, 0, target - distance), false);
+        });
+    }
+
+    // with a body camera mode on, mouse / key moves edit the base camera the body offset is applied to
+    _editCamera(edit) {
+        const bodyCamera = this.renderer.bodyCamera;
+        const active = bodyCamera && bodyCamera.isActive();
+        if (active) bodyCamera.restoreBase();
+        edit();
+        if (active) bodyCamera.setBase(this.camera.getEyePoint(), this.focusPoint, this.camera.getUpVector());
+    }
+
+    // translate by a camera space offset, optionally carrying the focus point along
+    _moveCamera(offset, moveFocus) {
+        const before = this.camera.getEyePoint();
+        this.camera.translate(offset);
+        if (moveFocus) {
+            const moved = vec3.sub(vec3.create(), this.camera.getEyePoint(), before);
+            vec3.add(this.focusPoint, this.focusPoint, moved);
+        }
+    }
+
+    // per frame update for held keys, time in milliseconds (requestAnimationFrame time)
+    update(time) {
+        const dt = this.lastUpdateTime === null ? 0 : Math.min((time - this.lastUpdateTime) / 1000, 0.1);
+        this.lastUpdateTime = time;
+        if (!this.flyMode || this.keysDown.size === 0 || dt <= 0) return;
+
+        const k = this.keysDown;
+        const axis = (pos, neg) => (k.has(pos) ? 1 : 0) - (k.has(neg) ? 1 : 0);
+        const speed = FLY_SPEED * (this.fastFly ? 3 : 1) * dt;
+        // camera space: x right, y up, -z forward
+        const offset = vec3.fromValues(axis('d', 'a'), axis('e', 'q'), -axis('w', 's'));
+        vec3.scale(offset, offset, speed);
+        this._editCamera(() => this._moveCamera(offset, true));
     }
 
     updateCameraInfo() {
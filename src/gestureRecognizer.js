@@ -0,0 +1,226 @@
+/**
+ * GestureRecognizer - Turns the pose-data stream into higher level body gestures
+ *
+ * Feed it every 'pose-data' frame (after PoseTracker / PoseFilter, so personId is
+ * stable) through handlePoseData(). Recognized gestures are dispatched as
+ * 'pose-gesture' CustomEvents on window:
+ *   detail = { gesture, personId, timestamp, hand? }
+ *
+ * Gestures:
+ *   'raise-hand'       one wrist above the head (hand: 'left' | 'right')
+ *   'raise-both-hands' both wrists above the head
+ *   't-pose'           arms stretched out sideways at shoulder height
+ *   'clap'             hands brought together quickly from apart
+ *   'wave'             raised hand swinging side to side (hand: 'left' | 'right')
+ *   'squat'            hips lowered toward knee height
+ *   'jump'             hips rising quickly above their resting height
+ *
+ * Distances are measured in normalized image coordinates relative to the
+ * person's torso length, so thresholds do not depend on how far away they stand.
+ * Held gestures (raise, t-pose, squat) must last holdMs and fire once until
+ * released, every gesture is then silent for cooldownMs.
+ */
+
+export const Gesture = {
+  RAISE_HAND: 'raise-hand',
+  RAISE_BOTH_HANDS: 'raise-both-hands',
+  T_POSE: 't-pose',
+  CLAP: 'clap',
+  WAVE: 'wave',
+  SQUAT: 'squat',
+  JUMP: 'jump'
+};
+
+const NOSE = 0;
+const LEFT_SHOULDER = 11;
+const RIGHT_SHOULDER = 12;
+const LEFT_ELBOW = 13;
+const RIGHT_ELBOW = 14;
+const LEFT_WRIST = 15;
+const RIGHT_WRIST = 16;
+const LEFT_HIP = 23;
+const RIGHT_HIP = 24;
+const LEFT_KNEE = 25;
+const RIGHT_KNEE = 26;
+
+export class GestureRecognizer {
+  constructor(options = {}) {
+    this.options = {
+      minVisibility: 0.5,     // landmarks below this do not count
+      holdMs: 200,            // held gestures must last this long
+      cooldownMs: 1000,       // per gesture and person, after firing
+      raiseMargin: 0.1,       // wrist this far above the nose (torso lengths)
+      tPoseTolerance: 0.25,   // wrist / elbow height difference from the shoulder (torso lengths)
+      tPoseReach: 0.8,        // wrist horizontal distance from the shoulder (torso lengths)
+      clapOpen: 0.8,          // hands at least this far apart before a clap (torso lengths)
+      clapClosed: 0.25,       // and at most this far apart to complete it
+      clapWindowMs: 500,      // closing faster than this counts as a clap
+      waveAmplitude: 0.15,    // wrist swing to either side of the elbow (torso lengths)
+      waveSwings: 3,          // side changes needed for a wave
+      waveWindowMs: 1500,     // all swings within this time
+      squatRatio: 0.35,       // hip to knee height below this (torso lengths)
+      jumpHeight: 0.2,        // hips above resting height (torso lengths)
+      restingRate: 0.05       // how fast the resting hip height follows the person
+    };
+    this.setOptions(options);
+
+    // personId -> per person gesture state
+    this.people = new Map();
+  }
+
+  setOptions(options) {
+    Object.assign(this.options, options);
+  }
+
+  reset() {
+    this.people.clear();
+  }
+
+  /**
+   * Process one 'pose-data' frame, dispatches 'pose-gesture' events
+   * @param {Object} poseData - Frame produced by PoseExporter.exportPose() (after PoseTracker.assign())
+   * @returns {Array} Gestures recognized in this frame
+   */
+  handlePoseData(poseData) {
+    if (!poseData || !poseData.poses) {
+      return [];
+    }
+    const timestamp = poseData.timestamp;
+    const recognized = [];
+    for (const pose of poseData.poses) {
+      recognized.push(...this._processPose(pose, timestamp));
+    }
+    for (const detail of recognized) {
+      window.dispatchEvent(new CustomEvent('pose-gesture', { detail: detail }));
+    }
+    return recognized;
+  }
+
+  _getState(personId) {
+    let state = this.people.get(personId);
+    if (!state) {
+      state = {
+        held: {},          // gesture key -> { since, fired }
+        lastFired: {},     // gesture key -> timestamp
+        handsOpenTime: -Infinity,
+        wave: { left: { side: 0, swings: [] }, right: { side: 0, swings: [] } },
+        restingHipY: null
+      };
+      this.people.set(personId, state);
+    }
+    return state;
+  }
+
+  _processPose(pose, timestamp) {
+    const lm = pose.landmarks;
+    if (!lm) return [];
+    const o = this.options;
+    const visible = (i) => lm[i] && (lm[i].visibility === undefined || lm[i].visibility >= o.minVisibility);
+    if (!visible(LEFT_SHOULDER) || !visible(RIGHT_SHOULDER) || !visible(LEFT_HIP) || !visible(RIGHT_HIP)) {
+      return [];
+    }
+
+    const state = this._getState(pose.personId);
+    const out = [];
+    const emit = (gesture, key, extra = {}) => {
+      if (timestamp - (state.lastFired[key] ?? -Infinity) < o.cooldownMs) return;
+      state.lastFired[key] = timestamp;
+      out.push({ gesture, personId: pose.personId, timestamp, ...extra });
+    };
+    // held gestures fire once after holdMs, and again only after being released
+    const hold = (key, active, fire) => {
+      if (!active) {
+        delete state.held[key];
+        return;
+      }
+      const h = state.held[key] || (state.held[key] = { since: timestamp, fired: false });
+      if (!h.fired && timestamp - h.since >= o.holdMs) {
+        h.fired = true;
+        fire();
+      }
+    };
+
+    // body scale: shoulder center to hip center, image y grows downward
+    const shoulderY = (lm[LEFT_SHOULDER].y + lm[RIGHT_SHOULDER].y) / 2;
+    const hipY = (lm[LEFT_HIP].y + lm[RIGHT_HIP].y) / 2;
+    const torso = Math.hypot(
+      (lm[LEFT_SHOULDER].x + lm[RIGHT_SHOULDER].x - lm[LEFT_HIP].x - lm[RIGHT_HIP].x) / 2,
+      shoulderY - hipY
+    );
+    if (torso <= 1e-4) return [];
+
+    const wristsVisible = visible(LEFT_WRIST) && visible(RIGHT_WRIST);
+
+    // raised hands
+    if (visible(NOSE)) {
+      const raised = (wrist) => visible(wrist) && (lm[NOSE].y - lm[wrist].y) / torso > o.raiseMargin;
+      const left = raised(LEFT_WRIST);
+      const right = raised(RIGHT_WRIST);
+      hold('both', left && right, () => emit(Gesture.RAISE_BOTH_HANDS, 'both'));
+      hold('left', left && !right, () => emit(Gesture.RAISE_HAND, 'left', { hand: 'left' }));
+      hold('right', right && !left, () => emit(Gesture.RAISE_HAND, 'right', { hand: 'right' }));
+    }
+
+    // t-pose
+    if (wristsVisible && visible(LEFT_ELBOW) && visible(RIGHT_ELBOW)) {
+      const armOut = (shoulder, elbow, wrist) =>
+        Math.abs(lm[wrist].y - lm[shoulder].y) / torso < o.tPoseTolerance &&
+        Math.abs(lm[elbow].y - lm[shoulder].y) / torso < o.tPoseTolerance &&
+        Math.abs(lm[wrist].x - lm[shoulder].x) / torso > o.tPoseReach;
+      const tPose = armOut(LEFT_SHOULDER, LEFT_ELBOW, LEFT_WRIST) && armOut(RIGHT_SHOULDER, RIGHT_ELBOW, RIGHT_WRIST);
+      hold('tpose', tPose, () => emit(Gesture.T_POSE, 'tpose'));
+    }
+
+    // clap: hands far apart, then together within the window
+    if (wristsVisible) {
+      const apart = Math.hypot(lm[LEFT_WRIST].x - lm[RIGHT_WRIST].x, lm[LEFT_WRIST].y - lm[RIGHT_WRIST].y) / torso;
+      if (apart > o.clapOpen) {
+        state.handsOpenTime = timestamp;
+      } else if (apart < o.clapClosed && timestamp - state.handsOpenTime < o.clapWindowMs) {
+        state.handsOpenTime = -Infinity; // needs to open again for the next clap
+        emit(Gesture.CLAP, 'clap');
+      }
+    }
+
+    // wave: raised forearm swinging from one side of the elbow to the other
+    for (const [hand, elbow, wrist] of [['left', LEFT_ELBOW, LEFT_WRIST], ['right', RIGHT_ELBOW, RIGHT_WRIST]]) {
+      const wave = state.wave[hand];
+      if (!visible(elbow) || !visible(wrist) || lm[wrist].y > lm[elbow].y) {
+        wave.side = 0;
+        wave.swings = [];
+        continue;
+      }
+      const offset = (lm[wrist].x - lm[elbow].x) / torso;
+      const side = offset > o.waveAmplitude ? 1 : offset < -o.waveAmplitude ? -1 : 0;
+      if (side !== 0 && side !== wave.side) {
+        if (wave.side !== 0) wave.swings.push(timestamp);
+        wave.side = side;
+      }
+      wave.swings = wave.swings.filter((t) => timestamp - t <= o.waveWindowMs);
+      if (wave.swings.length >= o.waveSwings) {
+        wave.swings = [];
+        emit(Gesture.WAVE, 'wave-' + hand, { hand });
+      }
+    }
+
+    // squat: hips come down toward the knees
+    if (visible(LEFT_KNEE) && visible(RIGHT_KNEE)) {
+      const kneeY = (lm[LEFT_KNEE].y + lm[RIGHT_KNEE].y) / 2;
+      hold('squat', (kneeY - hipY) / torso < o.squatRatio, () => emit(Gesture.SQUAT, 'squat'));
+    }
+
+    // jump: hips well above where they usually rest
+    if (state.restingHipY === null) {
+      state.restingHipY = hipY;
+    }
+    const rise = (state.restingHipY - hipY) / torso;
+    if (rise > o.jumpHeight) {
+      emit(Gesture.JUMP, 'jump');
+    } else if (!state.held.squat) {
+      // only learn the resting height while standing on the ground
+      state.restingHipY += o.restingRate * (hipY - state.restingHipY);
+    }
+
+    return out;
+  }
+}
@@ -0,0 +1,198 @@
+// meshLoader.js: OBJ and ASCII PLY parsers, both produce the same triangle soup
+//
+// Mesh = {
+//     triangleCount,
+//     positions: Float32Array(triangleCount * 9),  // v0 v1 v2 per triangle, object space
+//     normals:   Float32Array(triangleCount * 9),  // per-vertex normals
+//     uvs:       Float32Array(triangleCount * 6),  // per-vertex texture coordinates (0 if the file has none)
+//     hasUVs, bboxMin: [x, y, z], bboxMax: [x, y, z]
+// }
+
+export function loadMeshFromText(filename, text) {
+    const ext = filename.split('.').pop().toLowerCase();
+    let mesh;
+    if (ext === 'obj') {
+        mesh = parseOBJ(text);
+    } else if (ext === 'ply') {
+        mesh = parsePLY(text);
+    } else {
+        throw new Error(`Unsupported mesh format ".${ext}" (${filename}), expected .obj or .ply`);
+    }
+    if (mesh.triangleCount === 0) {
+        throw new Error(`Mesh ${filename} has no triangles`);
+    }
+    return mesh;
+}
+
+export function parseOBJ(text) {
+    const positions = [];  // [x, y, z]
+    const texCoords = [];  // [u, v]
+    const normals = [];    // [x, y, z]
+    const corners = [];    // per triangle corner: { p, t, n } indices, -1 if missing
+
+    // OBJ indices are 1-based, negative ones count back from the end
+    const resolve = (str, count) => {
+        if (!str) return -1;
+        const i = parseInt(str, 10);
+        return i < 0 ? count + i : i - 1;
+    };
+
+    for (let line of text.split('\n')) {
+        line = line.trim();
+        if (!line || line.startsWith('#')) continue;
+        const parts = line.split(/\s+/);
+        switch (parts[0]) {
+            case 'v':
+                positions.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+                break;
+            case 'vt':
+                texCoords.push([parseFloat(parts[1]), parseFloat(parts[2] || '0')]);
+                break;
+            case 'vn':
+                normals.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+                break;
+            case 'f': {
+                const verts = parts.slice(1).map((v) => {
+                    const [p, t, n] = v.split('/');
+                    return {
+                        p: resolve(p, positions.length),
+                        t: resolve(t, texCoords.length),
+                        n: resolve(n, normals.length)
+                    };
+                });
+                // triangulate polygons as a fan
+                for (let i = 1; i + 1 < verts.length; i++) {
+                    corners.push(verts[0], verts[i], verts[i + 1]);
+                }
+                break;
+            }
+            default:
+                break; // groups, materials, smoothing groups are not needed
+        }
+    }
+
+    return buildMesh(positions, corners, texCoords, normals);
+}
+
+export function parsePLY(text) {
+    const lines = text.split('\n').map((l) => l.trim());
+    if (lines[0] !== 'ply') throw new Error('Not a PLY file');
+
+    // 1) header
+    let lineIdx = 1;
+    const elements = [];
+    for (; lineIdx < lines.length; lineIdx++) {
+        const parts = lines[lineIdx].split(/\s+/);
+        if (parts[0] === 'format' && parts[1] !== 'ascii') {
+            throw new Error(`Only ASCII PLY supported, got ${parts[1]}`);
+        } else if (parts[0] === 'element') {
+            elements.push({ name: parts[1], count: parseInt(parts[2], 10), properties: [] });
+        } else if (parts[0] === 'property') {
+            elements[elements.length - 1].properties.push({ name: parts[parts.length - 1], isList: parts[1] === 'list' });
+        } else if (parts[0] === 'end_header') {
+            lineIdx++;
+            break;
+        }
+    }
+
+    // 2) body
+    const positions = [];
+    const texCoords = [];
+    const normals = [];
+    const corners = [];
+    for (const element of elements) {
+        const names = element.properties.map((p) => p.name);
+        const col = (...candidates) => names.findIndex((n) => candidates.includes(n));
+        for (let i = 0; i < element.count; i++, lineIdx++) {
+            // one value per property, a list property is its length followed by its items
+            if (lineIdx >= lines.length || lines[lineIdx] === '') throw new Error('PLY too short');
+            const tokens = lines[lineIdx].split(/\s+/).map(Number);
+            const vals = [];
+            let t = 0;
+            for (const prop of element.properties) {
+                if (prop.isList) {
+                    const n = tokens[t++];
+                    vals.push(tokens.slice(t, t + n));
+                    t += n;
+                } else {
+                    vals.push(tokens[t++]);
+                }
+            }
+            if (t > tokens.length) throw new Error('PLY too short');
+            if (element.name === 'vertex') {
+                positions.push([vals[col('x')], vals[col('y')], vals[col('z')]]);
+                const nx = col('nx');
+                if (nx >= 0) normals.push([vals[nx], vals[col('ny')], vals[col('nz')]]);
+                const u = col('u', 's', 'texture_u');
+                if (u >= 0) texCoords.push([vals[u], vals[col('v', 't', 'texture_v')]]);
+            } else if (element.name === 'face') {
+                // vertex_indices is the only list we care about, other face properties are skipped
+                const listCol = col('vertex_indices', 'vertex_index');
+                if (listCol < 0 || !Array.isArray(vals[listCol])) {
+                    throw new Error('PLY faces have no vertex_indices list');
+                }
+                const idx = vals[listCol];
+                const n = idx.length;
+                const corner = (v) => ({
+                    p: v,
+                    t: texCoords.length ? v : -1,
+                    n: normals.length ? v : -1
+                });
+                for (let k = 1; k + 1 < n; k++) {
+                    corners.push(corner(idx[0]), corner(idx[k]), corner(idx[k + 1]));
+                }
+            }
+        }
+    }
+
+    return buildMesh(positions, corners, texCoords, normals);
+}
+
+// flatten indexed data into per-triangle arrays, computing smooth normals when the file has none
+function buildMesh(positions, corners, texCoords, normals) {
+    const triangleCount = corners.length / 3;
+    const mesh = {
+        triangleCount,
+        positions: new Float32Array(triangleCount * 9),
+        normals: new Float32Array(triangleCount * 9),
+        uvs: new Float32Array(triangleCount * 6),
+        hasUVs: corners.some((c) => c.t >= 0),
+        bboxMin: [Infinity, Infinity, Infinity],
+        bboxMax: [-Infinity, -Infinity, -Infinity]
+    };
+
+    // area weighted vertex normals, only used for corners without an explicit normal
+    const smooth = positions.map(() => [0, 0, 0]);
+    for (let tri = 0; tri < triangleCount; tri++) {
+        const [a, b, c] = [0, 1, 2].map((k) => positions[corners[tri * 3 + k].p]);
+        if (!a || !b || !c) throw new Error(`Mesh triangle ${tri} references a missing vertex`);
+        const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        const fn = [
+            e1[1] * e2[2] - e1[2] * e2[1],
+            e1[2] * e2[0] - e1[0] * e2[2],
+            e1[0] * e2[1] - e1[1] * e2[0]
+        ];
+        for (let k = 0; k < 3; k++) {
+            const s = smooth[corners[tri * 3 + k].p];
+            s[0] += fn[0]; s[1] += fn[1]; s[2] += fn[2];
+        }
+    }
+
+    for (let i = 0; i < corners.length; i++) {
+        const c = corners[i];
+        const p = positions[c.p];
+        const n = c.n >= 0 ? normals[c.n] : smooth[c.p];
+        const len = Math.hypot(n[0], n[1], n[2]) || 1;
+        const uv = c.t >= 0 ? texCoords[c.t] : [0, 0];
+        for (let k = 0; k < 3; k++) {
+            mesh.positions[i * 3 + k] = p[k];
+            mesh.normals[i * 3 + k] = n[k] / len;
+            mesh.bboxMin[k] = Math.min(mesh.bboxMin[k], p[k]);
+            mesh.bboxMax[k] = Math.max(mesh.bboxMax[k], p[k]);
+        }
+        mesh.uvs[i * 2] = uv[0];
+        mesh.uvs[i * 2 + 1] = uv[1];
+    }
+    return mesh;
+}
@@ -14,6 +14,8 @@
 
 import {
   PoseLandmarker,
+  HandLandmarker,
+  FaceLandmarker,
   FilesetResolver,
   DrawingUtils
 } from "https://cdn.skypack.dev/@mediapipe/tasks-vision@0.10.0";
@@ -23,6 +25,13 @@ import { PoseExporter } from "./poseExporter.js";
 export class PoseDetector {
   constructor() {
     this.poseLandmarker = undefined;
+    this.handLandmarker = null; // created when hand tracking is first switched on
+    this.faceLandmarker = null; // created when face tracking is first switched on
+    this.handLandmarkerPending = null; // creation in progress, so quick toggles share one landmarker
+    this.faceLandmarkerPending = null;
+    this.trackHands = false;
+    this.trackFace = false;
+    this.vision = null;         // wasm fileset shared by all landmarkers
     this.runningMode = "IMAGE";
     this.webcamRunning = false;
     this.video = null;
@@ -30,6 +39,11 @@ export class PoseDetector {
     this.canvasCtx = null;
     this.drawingUtils = null;
     this.lastVideoTime = -1;
+    this.lastTimestamp = -1;    // detectForVideo() needs increasing timestamps across every source
+    this.webcamShift = 0;       // keeps webcam timestamps after those of footage processed before
+    this.fileRunning = false;   // a video file or image sequence is being processed
+    this.stopRequested = false;
+    this.onFileProgress = null; // optional callback(done, total, finished), total in frames or seconds
     this.poseExporter = new PoseExporter({
       enabled: true,
       format: 'normalized'
@@ -42,6 +56,7 @@ export class PoseDetector {
     const vision = await FilesetResolver.forVisionTasks(
       "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm"
     );
+    this.vision = vision;
     this.poseLandmarker = await PoseLandmarker.createFromOptions(vision, {
       baseOptions: {
         modelAssetPath: `https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task`,
@@ -70,9 +85,118 @@ export class PoseDetector {
       console.warn("getUserMedia() is not supported by your browser");
     }
 
+    // Optional hand and face tracking, their models load on first use
+    const trackingStatus = document.getElementById("trackingStatus");
+    const setupTrackingToggle = (checkbox, setTracking, what) => {
+      if (!checkbox) return;
+      checkbox.addEventListener("change", async () => {
+        if (trackingStatus) trackingStatus.innerText = checkbox.checked ? `Loading ${what} tracking...` : "";
+        try {
+          await setTracking(checkbox.checked);
+          if (trackingStatus) trackingStatus.innerText = "";
+        } catch (e) {
+          console.error(`Failed to start ${what} tracking:`, e);
+          checkbox.checked = false;
+          if (trackingStatus) trackingStatus.innerText = `Could not load ${what} tracking: ${e.message}`;
+        }
+      });
+    };
+    setupTrackingToggle(document.getElementById("trackHands"), (enabled) => this.setHandTracking(enabled), "hand");
+    setupTrackingToggle(document.getElementById("trackFace"), (enabled) => this.setFaceTracking(enabled), "face");
+
+    // Footage instead of the webcam
+    this.setupFileControls();
+
     console.log("PoseDetector initialized");
   }
 
+  setupFileControls() {
+    const fileInput = document.getElementById("poseSourceInput");
+    const folderInput = document.getElementById("poseSourceFolder");
+    const fastCheckbox = document.getElementById("poseSourceFast");
+    const fpsInput = document.getElementById("poseSourceFps");
+    const stopButton = document.getElementById("poseSourceStop");
+    const progress = document.getElementById("poseSourceProgress");
+    if (!fileInput) return;
+
+    const start = async (event) => {
+      const files = [...event.target.files];
+      event.target.value = ""; // picking the same file again starts it again
+      if (files.length === 0) return;
+      try {
+        await this.processFiles(files, {
+          fast: fastCheckbox ? fastCheckbox.checked : false,
+          fps: fpsInput ? parseFloat(fpsInput.value) || 30 : 30
+        });
+      } catch (e) {
+        console.error("Failed to process pose source:", e);
+        if (progress) progress.innerText = "Error: " + e.message;
+      }
+    };
+    fileInput.addEventListener("change", start);
+    if (folderInput) folderInput.addEventListener("change", start);
+    if (stopButton) stopButton.addEventListener("click", () => this.stopFiles());
+
+    this.onFileProgress = (done, total, finished) => {
+      if (stopButton) stopButton.disabled = finished;
+      if (progress) {
+        progress.innerText = !finished ? `${done} / ${total}`
+          : `${this.stopRequested ? "Stopped" : "Done"} at ${done} / ${total}`;
+      }
+    };
+  }
+
+  /**
+   * Run the HandLandmarker next to the pose, fingers show up as pose.hands (see PoseExporter)
+   */
+  async setHandTracking(enabled) {
+    this.trackHands = enabled;
+    if (enabled && !this.handLandmarker && this.vision) {
+      this.handLandmarkerPending = this.handLandmarkerPending || HandLandmarker.createFromOptions(this.vision, {
+        baseOptions: {
+          modelAssetPath: `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
+          delegate: "GPU"
+        },
+        runningMode: "VIDEO",
+        numHands: 4 // two hands for each of the two poses
+      });
+      try {
+        this.handLandmarker = await this.handLandmarkerPending;
+      } catch (e) {
+        this.trackHands = false;
+        throw e;
+      } finally {
+        this.handLandmarkerPending = null;
+      }
+    }
+  }
+
+  /**
+   * Run the FaceLandmarker next to the pose, the head pose shows up as pose.face (see PoseExporter)
+   */
+  async setFaceTracking(enabled) {
+    this.trackFace = enabled;
+    if (enabled && !this.faceLandmarker && this.vision) {
+      this.faceLandmarkerPending = this.faceLandmarkerPending || FaceLandmarker.createFromOptions(this.vision, {
+        baseOptions: {
+          modelAssetPath: `https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task`,
+          delegate: "GPU"
+        },
+        runningMode: "VIDEO",
+        numFaces: 2,
+        outputFacialTransformationMatrixes: true
+      });
+      try {
+        this.faceLandmarker = await this.faceLandmarkerPending;
+      } catch (e) {
+        this.trackFace = false;
+        throw e;
+      } finally {
+        this.faceLandmarkerPending = null;
+      }
+    }
+  }
+
   enableCam() {
     if (!this.poseLandmarker) {
       console.log("Wait! poseLandmarker not loaded yet.");
@@ -91,6 +215,7 @@ export class PoseDetector {
         this.video.srcObject = null;
       }
     } else {
+      if (this.fileRunning) this.stopFiles();
       this.webcamRunning = true;
       if (this.enableWebcamButton) {
         this.enableWebcamButton.innerText = "DISABLE WEBCAM";
@@ -104,56 +229,236 @@ export class PoseDetector {
       // Activate the webcam stream.
       navigator.mediaDevices.getUserMedia(constraints).then((stream) => {
         this.video.srcObject = stream;
-        this.video.addEventListener("loadeddata", () => this.predictWebcam());
+        this.webcamShift = Math.max(0, this.lastTimestamp + 1 - performance.now());
+        this.video.addEventListener("loadeddata", () => this.predictWebcam(), { once: true });
       });
     }
   }
 
   async predictWebcam() {
     if (!this.video || !this.canvasElement) return;
+    this.sizePreview();
 
+    // Now let's start detecting the stream.
+    await this.useVideoMode();
+    
+    if (this.lastVideoTime !== this.video.currentTime) {
+      this.lastVideoTime = this.video.currentTime;
+      await this.detectFrame(this.video, performance.now() + this.webcamShift);
+    }
+
+    // Call this function again to keep predicting when the browser is ready.
+    if (this.webcamRunning === true) {
+      window.requestAnimationFrame(() => this.predictWebcam());
+    }
+  }
+
+  sizePreview() {
     const videoHeight = "360px";
     const videoWidth = "480px";
     this.canvasElement.style.height = videoHeight;
     this.video.style.height = videoHeight;
     this.canvasElement.style.width = videoWidth;
     this.video.style.width = videoWidth;
+  }
 
-    // Now let's start detecting the stream.
+  async useVideoMode() {
     if (this.runningMode === "IMAGE") {
       this.runningMode = "VIDEO";
       await this.poseLandmarker.setOptions({ runningMode: "VIDEO" });
     }
+  }
+
+  /**
+   * Detect poses (and hands / face when tracked) in one frame, draw them and export them
+   * @param {HTMLVideoElement|ImageBitmap} image - Frame to detect in
+   * @param {number} timestamp - Milliseconds, larger than that of the previous frame
+   * @param {boolean} drawImage - Paint the frame under the landmarks, for sources the video element doesn't show
+   */
+  async detectFrame(image, timestamp, drawImage = false) {
+    this.lastTimestamp = timestamp;
+    const result = await this.poseLandmarker.detectForVideo(image, timestamp);
+    const extras = {};
+    if (this.trackHands && this.handLandmarker) {
+      extras.hands = this.handLandmarker.detectForVideo(image, timestamp);
+    }
+    if (this.trackFace && this.faceLandmarker) {
+      extras.face = this.faceLandmarker.detectForVideo(image, timestamp);
+    }
     
-    let startTimeMs = performance.now();
-    if (this.lastVideoTime !== this.video.currentTime) {
-      this.lastVideoTime = this.video.currentTime;
-      const result = await this.poseLandmarker.detectForVideo(this.video, startTimeMs);
-      
-      // Draw landmarks on canvas if available
-      if (this.canvasCtx && this.drawingUtils) {
-        this.canvasCtx.save();
-        this.canvasCtx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
-        for (const landmark of result.landmarks) {
-          this.drawingUtils.drawLandmarks(landmark, {
-            radius: (data) => DrawingUtils.lerp(data.from.z, -0.15, 0.1, 5, 1)
-          });
-          this.drawingUtils.drawConnectors(landmark, PoseLandmarker.POSE_CONNECTIONS);
-        }
-        this.canvasCtx.restore();
+    // Draw landmarks on canvas if available
+    if (this.canvasCtx && this.drawingUtils) {
+      this.canvasCtx.save();
+      this.canvasCtx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
+      if (drawImage) {
+        this.canvasCtx.drawImage(image, 0, 0, this.canvasElement.width, this.canvasElement.height);
+      }
+      for (const landmark of result.landmarks) {
+        this.drawingUtils.drawLandmarks(landmark, {
+          radius: (data) => DrawingUtils.lerp(data.from.z, -0.15, 0.1, 5, 1)
+        });
+        this.drawingUtils.drawConnectors(landmark, PoseLandmarker.POSE_CONNECTIONS);
+      }
+      for (const hand of extras.hands?.landmarks || []) {
+        this.drawingUtils.drawConnectors(hand, HandLandmarker.HAND_CONNECTIONS);
+        this.drawingUtils.drawLandmarks(hand, { radius: 2 });
+      }
+      for (const face of extras.face?.faceLandmarks || []) {
+        this.drawingUtils.drawConnectors(face, FaceLandmarker.FACE_LANDMARKS_TESSELATION, { lineWidth: 0.5 });
+      }
+      this.canvasCtx.restore();
+    }
+    
+    // Export pose data to other applications
+    this.poseExporter.exportPose(result, timestamp, {
+      width: this.canvasElement.width,
+      height: this.canvasElement.height
+    }, extras);
+  }
+
+  /**
+   * Run detection on footage instead of the webcam: one video file, or images taken as
+   * frames in file name order. Exported timestamps follow the footage, so a recording
+   * made meanwhile plays back at the footage's speed however fast it was processed.
+   * @param {File[]} files - A video file, or image files
+   * @param {Object} options - fast: step through frames as quickly as detection allows
+   *                           instead of playing in real time, fps: frame rate of image
+   *                           sequences and of the frames taken from a video when fast
+   */
+  async processFiles(files, options = {}) {
+    if (!this.poseLandmarker) {
+      throw new Error("poseLandmarker not loaded yet");
+    }
+    const fast = !!options.fast;
+    const fps = options.fps > 0 ? options.fps : 30;
+    const video = files.find((file) => file.type.startsWith("video/"));
+    const images = files
+      .filter((file) => file.type.startsWith("image/"))
+      .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name, undefined, { numeric: true }));
+    if (!video && images.length === 0) {
+      throw new Error("No video or image files selected");
+    }
+
+    if (this.webcamRunning) this.enableCam();
+    if (this.fileRunning) {
+      this.stopFiles();
+      while (this.fileRunning) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+    }
+    await this.useVideoMode();
+
+    this.fileRunning = true;
+    this.stopRequested = false;
+    // footage time 0 lands right after the last frame detected from any source
+    const base = this.lastTimestamp + 1;
+    try {
+      if (video) {
+        await this.processVideoFile(video, base, fast, fps);
+      } else {
+        await this.processImages(images, base, fast, fps);
       }
-      
-      // Export pose data to other applications
-      this.poseExporter.exportPose(result, startTimeMs, {
-        width: this.canvasElement.width,
-        height: this.canvasElement.height
+    } finally {
+      this.fileRunning = false;
+    }
+  }
+
+  stopFiles() {
+    this.stopRequested = true;
+  }
+
+  async processVideoFile(file, base, fast, fps) {
+    const video = this.video;
+    const url = URL.createObjectURL(file);
+    video.srcObject = null;
+    video.src = url;
+    video.muted = true;
+    try {
+      await new Promise((resolve, reject) => {
+        video.addEventListener("loadeddata", resolve, { once: true });
+        video.addEventListener("error", () => reject(new Error(`Could not play ${file.name}`)), { once: true });
       });
+      this.sizePreview();
+      const duration = video.duration;
+      const report = (finished) => {
+        if (this.onFileProgress) {
+          this.onFileProgress(`${video.currentTime.toFixed(1)}s`, `${duration.toFixed(1)}s`, finished);
+        }
+      };
+
+      if (fast) {
+        // seek frame by frame, each one is detected before moving on
+        video.pause();
+        for (let frame = 0; frame * 1000 / fps <= duration * 1000 && !this.stopRequested; frame++) {
+          const seeked = this.waitForSeek(video, file.name);
+          video.currentTime = frame / fps;
+          if (!await seeked) break;
+          await this.detectFrame(video, base + frame * 1000 / fps);
+          report(false);
+        }
+      } else {
+        // play it and detect whichever frame is showing, like the webcam
+        await video.play();
+        let lastTime = -1;
+        while (!video.ended && !this.stopRequested) {
+          if (video.currentTime !== lastTime) {
+            lastTime = video.currentTime;
+            await this.detectFrame(video, base + lastTime * 1000);
+            report(false);
+          }
+          await new Promise((resolve) => window.requestAnimationFrame(resolve));
+        }
+        video.pause();
+      }
+      report(true);
+    } finally {
+      // unless the webcam took the video element over meanwhile
+      if (!video.srcObject) {
+        video.removeAttribute("src");
+        video.load();
+      }
+      URL.revokeObjectURL(url);
     }
+  }
 
-    // Call this function again to keep predicting when the browser is ready.
-    if (this.webcamRunning === true) {
-      window.requestAnimationFrame(() => this.predictWebcam());
+  /**
+   * Wait for a seek of the video to end: true once it has, false when the run is stopped or the
+   * video loses its source first (the webcam taking the element over aborts the seek), so a seek
+   * that never finishes cannot hang the run. Media errors reject.
+   */
+  waitForSeek(video, name) {
+    return new Promise((resolve, reject) => {
+      const events = ["seeked", "error", "emptied", "abort"];
+      const finish = (event) => {
+        events.forEach((type) => video.removeEventListener(type, finish));
+        clearInterval(stopPoll);
+        if (event.type === "seeked") resolve(true);
+        else if (event.type === "error") reject(new Error(`Could not seek in ${name}`));
+        else resolve(false);
+      };
+      const stopPoll = setInterval(() => {
+        if (this.stopRequested) finish({ type: "stop" });
+      }, 50);
+      events.forEach((type) => video.addEventListener(type, finish));
+    });
+  }
+
+  async processImages(files, base, fast, fps) {
+    const frameMs = 1000 / fps;
+    const startTime = performance.now();
+    let done = 0;
+    for (let i = 0; i < files.length && !this.stopRequested; i++) {
+      const bitmap = await createImageBitmap(files[i]);
+      if (!fast) {
+        // hold each image for its frame's share of real time
+        const wait = startTime + i * frameMs - performance.now();
+        if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+      await this.detectFrame(bitmap, base + i * frameMs, true);
+      bitmap.close();
+      done = i + 1;
+      if (this.onFileProgress) this.onFileProgress(done, files.length, false);
     }
+    if (this.onFileProgress) this.onFileProgress(done, files.length, true);
   }
 }
-
@@ -1,7 +1,34 @@
 /**
  * PoseExporter - Exports pose landmark data via custom events
+ *
+ * With hand and face tracking on (see PoseDetector) each pose may also carry
+ *   hands: { left, right }  each { landmarks, worldLandmarks, score } with 21 named hand landmarks
+ *   face: { landmarks, transform }  478 face mesh landmarks and the 4x4 column-major
+ *                                    facial transformation matrix (head pose in camera space)
+ * Hands and faces are given to the person whose wrist / nose is closest in the image.
  */
 
+const LEFT_WRIST = 15;
+const RIGHT_WRIST = 16;
+const FACE_NOSE_TIP = 1;
+
+// the face mesh landmarks worth a name, the rest are face_<index>
+const FACE_LANDMARK_NAMES = {
+  1: 'nose_tip',
+  10: 'forehead',
+  13: 'upper_lip',
+  14: 'lower_lip',
+  33: 'right_eye_outer',
+  133: 'right_eye_inner',
+  152: 'chin',
+  234: 'right_cheek',
+  263: 'left_eye_outer',
+  362: 'left_eye_inner',
+  454: 'left_cheek',
+  468: 'right_iris',
+  473: 'left_iris'
+};
+
 export class PoseExporter {
   constructor(options = {}) {
     this.enabled = options.enabled !== false;
@@ -17,16 +44,18 @@ export class PoseExporter {
    * @param {Object} result - MediaPipe pose detection result
    * @param {number} timestamp - Current timestamp
    * @param {Object} videoInfo - Video dimensions {width, height}
+   * @param {Object} extras - Optional { hands: HandLandmarker result, face: FaceLandmarker result }
    */
-  exportPose(result, timestamp, videoInfo = {}) {
-    if (!this.enabled || !result.landmarks || result.landmarks.length === 0) {
+  exportPose(result, timestamp, videoInfo = {}, extras = {}) {
+    if (!this.enabled) {
       return;
     }
     
+    // frames without anybody still go out, with poses: [], so receivers can hide the avatars
     const poseData = {
       timestamp: timestamp,
       frameCount: this.frameCount++,
-      poses: result.landmarks.map((landmarks, index) => ({
+      poses: (result.landmarks || []).map((landmarks, index) => ({
         personId: index,
         landmarks: landmarks.map((landmark, idx) => ({
           id: idx,
@@ -47,6 +76,12 @@ export class PoseExporter {
       })),
       videoInfo: videoInfo
     };
+    if (extras.hands) {
+      this.attachHands(poseData.poses, extras.hands);
+    }
+    if (extras.face) {
+      this.attachFaces(poseData.poses, extras.face);
+    }
     
     window.dispatchEvent(new CustomEvent('pose-data', {
       detail: poseData
@@ -98,6 +133,113 @@ export class PoseExporter {
     return landmarkNames[index] || `landmark_${index}`;
   }
   
+  /**
+   * Convert landmarks of any MediaPipe task into the exported format
+   */
+  exportLandmarks(landmarks, nameOf) {
+    return (landmarks || []).map((landmark, idx) => ({
+      id: idx,
+      name: nameOf(idx),
+      x: landmark.x,
+      y: landmark.y,
+      z: landmark.z,
+      visibility: landmark.visibility || 1.0
+    }));
+  }
+
+  /**
+   * Give each detected hand to the pose with the closest wrist, as its left or right hand
+   */
+  attachHands(poses, handResult) {
+    (handResult.landmarks || []).forEach((hand, h) => {
+      let best = null;
+      let bestDistance = Infinity;
+      for (const pose of poses) {
+        for (const [side, wrist] of [['left', LEFT_WRIST], ['right', RIGHT_WRIST]]) {
+          const lm = pose.landmarks[wrist];
+          if (!lm) continue;
+          const distance = Math.hypot(lm.x - hand[0].x, lm.y - hand[0].y);
+          if (distance < bestDistance && !(pose.hands && pose.hands[side])) {
+            best = { pose, side };
+            bestDistance = distance;
+          }
+        }
+      }
+      if (!best) return;
+      const handedness = (handResult.handednesses || handResult.handedness || [])[h];
+      best.pose.hands = best.pose.hands || {};
+      best.pose.hands[best.side] = {
+        landmarks: this.exportLandmarks(hand, (idx) => this.getHandLandmarkName(idx)),
+        worldLandmarks: this.exportLandmarks(handResult.worldLandmarks?.[h], (idx) => this.getHandLandmarkName(idx)),
+        score: handedness?.[0]?.score ?? 1.0
+      };
+    });
+  }
+
+  /**
+   * Give each detected face to the pose with the closest nose
+   */
+  attachFaces(poses, faceResult) {
+    (faceResult.faceLandmarks || []).forEach((face, f) => {
+      const tip = face[FACE_NOSE_TIP];
+      let best = null;
+      let bestDistance = Infinity;
+      for (const pose of poses) {
+        const nose = pose.landmarks[0];
+        if (!nose || pose.face) continue;
+        const distance = Math.hypot(nose.x - tip.x, nose.y - tip.y);
+        if (distance < bestDistance) {
+          best = pose;
+          bestDistance = distance;
+        }
+      }
+      if (!best) return;
+      const matrix = faceResult.facialTransformationMatrixes?.[f];
+      best.face = {
+        landmarks: this.exportLandmarks(face, (idx) => this.getFaceLandmarkName(idx)),
+        transform: matrix ? Array.from(matrix.data) : null
+      };
+    });
+  }
+
+  /**
+   * Get hand landmark name by index (MediaPipe Hand landmark indices)
+   */
+  getHandLandmarkName(index) {
+    const handLandmarkNames = [
+      'wrist',                   // 0
+      'thumb_cmc',               // 1
+      'thumb_mcp',               // 2
+      'thumb_ip',                // 3
+      'thumb_tip',               // 4
+      'index_finger_mcp',        // 5
+      'index_finger_pip',        // 6
+      'index_finger_dip',        // 7
+      'index_finger_tip',        // 8
+      'middle_finger_mcp',       // 9
+      'middle_finger_pip',       // 10
+      'middle_finger_dip',       // 11
+      'middle_finger_tip',       // 12
+      'ring_finger_mcp',         // 13
+      'ring_finger_pip',         // 14
+      'ring_finger_dip',         // 15
+      'ring_finger_tip',         // 16
+      'pinky_mcp',               // 17
+      'pinky_pip',               // 18
+      'pinky_dip',               // 19
+      'pinky_tip'                // 20
+    ];
+
+    return handLandmarkNames[index] || `hand_landmark_${index}`;
+  }
+
+  /**
+   * Get face landmark name by index (MediaPipe Face Mesh indices, only notable points are named)
+   */
+  getFaceLandmarkName(index) {
+    return FACE_LANDMARK_NAMES[index] || `face_${index}`;
+  }
+
   /**
    * Enable or disable pose export
    */
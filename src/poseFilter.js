@@ -0,0 +1,159 @@
+/**
+ * PoseFilter - Temporal smoothing of pose landmarks between PoseExporter and the renderer
+ *
+ * Each landmark coordinate of each person gets its own filter. Landmarks whose
+ * visibility falls below minVisibility hold their last good position instead of
+ * following MediaPipe's guesses for occluded joints.
+ */
+
+/**
+ * One Euro filter (Casiez et al. 2012) for a single value: low cutoff when the
+ * value moves slowly (kills jitter), higher cutoff when it moves fast (less lag)
+ */
+class OneEuroFilter {
+  constructor() {
+    this.x = null;   // last filtered value
+    this.dx = 0;     // last filtered derivative
+  }
+
+  static alpha(cutoff, dt) {
+    const tau = 1.0 / (2 * Math.PI * cutoff);
+    return 1.0 / (1.0 + tau / dt);
+  }
+
+  filter(value, dt, options, weight) {
+    if (this.x === null) {
+      this.x = value;
+      this.dx = 0;
+      return value;
+    }
+    if (dt <= 0) {
+      return this.x;
+    }
+    const rawDx = (value - this.x) / dt;
+    this.dx += OneEuroFilter.alpha(options.dCutoff, dt) * (rawDx - this.dx);
+    const cutoff = options.minCutoff + options.beta * Math.abs(this.dx);
+    this.x += weight * OneEuroFilter.alpha(cutoff, dt) * (value - this.x);
+    return this.x;
+  }
+}
+
+/**
+ * Exponential moving average for a single value
+ */
+class ExponentialFilter {
+  constructor() {
+    this.x = null;
+  }
+
+  filter(value, dt, options, weight) {
+    if (this.x === null) {
+      this.x = value;
+      return value;
+    }
+    this.x += weight * options.alpha * (value - this.x);
+    return this.x;
+  }
+}
+
+export const FilterMode = {
+  NONE: 'none',
+  ONE_EURO: 'oneEuro',
+  EXPONENTIAL: 'exponential'
+};
+
+export class PoseFilter {
+  constructor(options = {}) {
+    this.options = {
+      mode: FilterMode.ONE_EURO,
+      minCutoff: 1.0,       // Hz, lower = smoother when still
+      beta: 0.5,            // how quickly the cutoff opens up with speed
+      dCutoff: 1.0,         // Hz, cutoff for the derivative estimate
+      alpha: 0.5,           // exponential mode blend factor per frame
+      minVisibility: 0.5,   // below this a landmark holds its last good position
+      resetAfterMs: 500     // gap in the stream after which a person starts fresh
+    };
+    this.setOptions(options);
+
+    // personId -> { lastTimestamp, landmarks: filter state[], worldLandmarks: filter state[] }
+    this.people = new Map();
+  }
+
+  /**
+   * Update filter parameters, takes effect on the next frame
+   */
+  setOptions(options) {
+    Object.assign(this.options, options);
+    if (options.mode !== undefined) {
+      // filter state is not interchangeable between modes
+      this.reset();
+    }
+  }
+
+  reset() {
+    if (this.people) {
+      this.people.clear();
+    }
+  }
+
+  /**
+   * Filter one 'pose-data' frame
+   * @param {Object} poseData - Frame produced by PoseExporter.exportPose() (after PoseTracker.assign())
+   * @returns {Object} New frame with smoothed landmarks
+   */
+  apply(poseData) {
+    if (!poseData || !poseData.poses || this.options.mode === FilterMode.NONE) {
+      return poseData;
+    }
+
+    const poses = poseData.poses.map((pose) => {
+      let state = this.people.get(pose.personId);
+      if (!state || poseData.timestamp - state.lastTimestamp > this.options.resetAfterMs) {
+        state = { lastTimestamp: poseData.timestamp, landmarks: [], worldLandmarks: [] };
+        this.people.set(pose.personId, state);
+      }
+      const dt = (poseData.timestamp - state.lastTimestamp) / 1000.0;
+      state.lastTimestamp = poseData.timestamp;
+
+      return {
+        ...pose,
+        landmarks: this._filterLandmarks(pose.landmarks, state.landmarks, dt),
+        worldLandmarks: this._filterLandmarks(pose.worldLandmarks, state.worldLandmarks, dt)
+      };
+    });
+
+    return { ...poseData, poses: poses };
+  }
+
+  _filterLandmarks(landmarks, states, dt) {
+    if (!landmarks) {
+      return landmarks;
+    }
+    const FilterClass = this.options.mode === FilterMode.EXPONENTIAL ? ExponentialFilter : OneEuroFilter;
+
+    return landmarks.map((landmark, idx) => {
+      if (!states[idx]) {
+        states[idx] = { x: new FilterClass(), y: new FilterClass(), z: new FilterClass(), hasGood: false };
+      }
+      const s = states[idx];
+      const visibility = landmark.visibility !== undefined ? landmark.visibility : 1.0;
+
+      // hold the last good position while the joint is not visible
+      if (visibility < this.options.minVisibility && s.hasGood) {
+        return { ...landmark, x: s.x.x, y: s.y.x, z: s.z.x, held: true };
+      }
+
+      // confident landmarks move the filter fully, barely visible ones only partially
+      const weight = s.hasGood ? Math.min(1.0, Math.max(visibility, 0.0)) : 1.0;
+      if (visibility >= this.options.minVisibility) {
+        s.hasGood = true;
+      }
+      return {
+        ...landmark,
+        x: s.x.filter(landmark.x, dt, this.options, weight),
+        y: s.y.filter(landmark.y, dt, this.options, weight),
+        z: s.z.filter(landmark.z, dt, this.options, weight)
+      };
+    });
+  }
+}
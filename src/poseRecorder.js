@@ -0,0 +1,225 @@
+/**
+ * PoseRecorder - Captures the 'pose-data' event stream into a downloadable recording
+ * PosePlayer   - Replays a recording through the same 'pose-data' events, no webcam needed
+ *
+ * Recording format (JSON):
+ *   { format: 'pose-recording', version: 1, createdAt, duration, frames: [{ t, data }] }
+ * where t is milliseconds since the first recorded frame and data is the event detail.
+ */
+
+const RECORDING_FORMAT = 'pose-recording';
+const RECORDING_VERSION = 1;
+
+export class PoseRecorder {
+  constructor() {
+    this.recording = false;
+    this.frames = [];
+    this.startTime = 0;
+    this.onPoseData = (event) => this.handlePoseData(event.detail);
+  }
+
+  start() {
+    if (this.recording) return;
+    this.frames = [];
+    this.startTime = 0;
+    this.recording = true;
+    window.addEventListener('pose-data', this.onPoseData);
+    console.log('PoseRecorder: recording started');
+  }
+
+  stop() {
+    if (!this.recording) return;
+    this.recording = false;
+    window.removeEventListener('pose-data', this.onPoseData);
+    console.log(`PoseRecorder: recording stopped, ${this.frames.length} frames`);
+  }
+
+  handlePoseData(poseData) {
+    // never record our own playback
+    if (poseData.source === 'playback') return;
+
+    if (this.frames.length === 0) {
+      this.startTime = poseData.timestamp;
+    }
+    this.frames.push({ t: poseData.timestamp - this.startTime, data: poseData });
+  }
+
+  hasFrames() {
+    return this.frames.length > 0;
+  }
+
+  /**
+   * Build the recording object
+   */
+  toJSON() {
+    const last = this.frames[this.frames.length - 1];
+    return {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      createdAt: new Date().toISOString(),
+      duration: last ? last.t : 0,
+      frames: this.frames
+    };
+  }
+
+  /**
+   * Save the recording as a .json file through the browser's download
+   */
+  download(filename = 'pose-recording.json') {
+    const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  destroy() {
+    this.stop();
+  }
+}
+
+export class PosePlayer {
+  constructor() {
+    this.frames = [];
+    this.duration = 0;
+    this.playing = false;
+    this.loop = false;
+    this.speed = 1.0;
+    this.position = 0;        // playhead in recording milliseconds
+    this.nextFrame = 0;       // index of the next frame to dispatch
+    this.lastTickTime = null; // requestAnimationFrame time of the previous tick, null before the first
+    this.frameRequest = null; // pending requestAnimationFrame, cancelled by pause() so plays never overlap
+    this.onUpdate = null;     // called with (position, duration, playing) whenever the playhead moves
+  }
+
+  /**
+   * Load a recording from a File or a JSON string
+   */
+  async load(source) {
+    const text = typeof source === 'string' ? source : await source.text();
+    const recording = JSON.parse(text);
+    if (recording.format !== RECORDING_FORMAT || !Array.isArray(recording.frames)) {
+      throw new Error('Not a pose recording file');
+    }
+    if (recording.version > RECORDING_VERSION) {
+      throw new Error(`Unsupported pose recording version ${recording.version}`);
+    }
+
+    this.pause();
+    this.frames = recording.frames;
+    this.duration = recording.duration || (this.frames.length ? this.frames[this.frames.length - 1].t : 0);
+    this.seek(0);
+    console.log(`PosePlayer: loaded ${this.frames.length} frames (${(this.duration / 1000).toFixed(1)}s)`);
+  }
+
+  isLoaded() {
+    return this.frames.length > 0;
+  }
+
+  play() {
+    if (this.playing || !this.isLoaded()) return;
+    if (this.position >= this.duration) {
+      this.seek(0);
+    }
+    this.playing = true;
+    this.lastTickTime = null;
+    this.frameRequest = window.requestAnimationFrame((t) => this.tick(t));
+    this._notify();
+  }
+
+  pause() {
+    this.playing = false;
+    if (this.frameRequest !== null) {
+      window.cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+    this._notify();
+  }
+
+  setLoop(loop) {
+    this.loop = loop;
+  }
+
+  setSpeed(speed) {
+    this.speed = speed > 0 ? speed : 1.0;
+  }
+
+  /**
+   * Move the playhead and show the frame at that time
+   * @param {number} position - Milliseconds from the start of the recording
+   */
+  seek(position) {
+    this.position = Math.min(Math.max(position, 0), this.duration);
+    this.nextFrame = this._frameIndexAt(this.position);
+    if (this.nextFrame > 0) {
+      this._dispatch(this.frames[this.nextFrame - 1]);
+    } else if (this.frames.length > 0) {
+      this._dispatch(this.frames[0]);
+      this.nextFrame = 1;
+    }
+    this._notify();
+  }
+
+  tick(now) {
+    this.frameRequest = null;
+    if (!this.playing) return;
+
+    // the first tick only starts the clock, rAF times and performance.now() need not agree
+    if (this.lastTickTime !== null) {
+      this.position += (now - this.lastTickTime) * this.speed;
+    }
+    this.lastTickTime = now;
+
+    // dispatch every frame the playhead passed so downstream filters see the full stream
+    while (this.nextFrame < this.frames.length && this.frames[this.nextFrame].t <= this.position) {
+      const frame = this.frames[this.nextFrame];
+      this._dispatch(frame, now - (this.position - frame.t) / this.speed);
+      this.nextFrame++;
+    }
+
+    if (this.position >= this.duration) {
+      if (this.loop) {
+        this.seek(0);
+      } else {
+        this.position = this.duration;
+        this.pause();
+        return;
+      }
+    }
+
+    this._notify();
+    this.frameRequest = window.requestAnimationFrame((t) => this.tick(t));
+  }
+
+  // first frame index with t > position
+  _frameIndexAt(position) {
+    let lo = 0, hi = this.frames.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.frames[mid].t <= position) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  _dispatch(frame, timestamp = performance.now()) {
+    // re-stamp with the current clock so smoothing sees real playback timing
+    window.dispatchEvent(new CustomEvent('pose-data', {
+      detail: { ...frame.data, timestamp: timestamp, source: 'playback' }
+    }));
+  }
+
+  _notify() {
+    if (this.onUpdate) {
+      this.onUpdate(this.position, this.duration, this.playing);
+    }
+  }
+
+  destroy() {
+    this.pause();
+    this.frames = [];
+  }
+}
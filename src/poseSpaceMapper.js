@@ -0,0 +1,218 @@
+/**
+ * PoseSpaceMapper - Places pose landmarks in the scene
+ *
+ * Landmarks are first brought into a body space in meters with y up (world landmarks
+ * already are, normalized image landmarks are scaled by imageMeters), then
+ *   - sized so the person is userHeight meters tall, once calibrate() has measured them
+ *   - lowered so their feet touch the floor: the standing foot height measured by the
+ *     calibration, or the lowest visible foot of every frame before that
+ *   - scaled by the anchor's scene units per meter, turned to its facing and moved to
+ *     its position, whose y is the floor height
+ *
+ * Hand landmarks (pose.hands) hang off the pose's wrists, and the face's transformation
+ * matrix (pose.face) becomes a head rotation in scene space.
+ *
+ * The anchor comes from the scene file, <avatar><anchor x y z facing scale/></avatar>.
+ * Calibration takes the next pose with the nose and a foot visible: stand up straight,
+ * whole body in view, at the spot that should map to the anchor.
+ */
+
+export const DEFAULT_ANCHOR = {
+  position: [0, 0, 0], // floor point the avatar stands on
+  facing: 0,           // degrees around +y, 0 faces +z
+  scale: 2.0           // scene units per meter
+};
+
+// rig part sizes (avatarRig.js) are authored for this many scene units per meter
+const RIG_REFERENCE_SCALE = 2.0;
+
+const NOSE = 0;
+const LEFT_WRIST = 15;
+const RIGHT_WRIST = 16;
+const LEFT_HIP = 23;
+const RIGHT_HIP = 24;
+const FOOT_LANDMARKS = [27, 28, 29, 30, 31, 32]; // ankles, heels, toes
+const HEAD_ABOVE_NOSE = 0.1; // share of the body height between the nose and the top of the head
+const HIP_HEIGHT = 0.5;      // share of the body height below the hips, when no foot is visible
+
+export class PoseSpaceMapper {
+  constructor(options = {}) {
+    this.options = {
+      userHeight: 1.7,    // meters
+      imageMeters: 2.0,   // meters per normalized image unit before calibration
+      minVisibility: 0.5  // landmarks below this do not count for feet and calibration
+    };
+    Object.assign(this.options, options);
+
+    this.anchor = { ...DEFAULT_ANCHOR, position: DEFAULT_ANCHOR.position.slice() };
+    this.calibration = null;       // { source, size, footY, center, height } measured from one pose
+    this.needsCalibration = false;
+    this.onCalibrated = null;      // optional callback(calibration)
+  }
+
+  setOptions(options) {
+    Object.assign(this.options, options);
+  }
+
+  /**
+   * Where the avatar stands, fields left out keep their current value
+   */
+  setAnchor(anchor) {
+    this.anchor = { ...this.anchor, ...anchor };
+    this.anchor.position = this.anchor.position.slice();
+  }
+
+  /**
+   * Measure the next full-body pose
+   */
+  calibrate() {
+    this.needsCalibration = true;
+  }
+
+  clearCalibration() {
+    this.calibration = null;
+    this.needsCalibration = false;
+  }
+
+  /**
+   * Scene positions of a pose's landmarks
+   * @param {Object} pose - One entry of a 'pose-data' frame
+   * @returns {Object|null} null without landmarks, otherwise
+   *   positions: [x, y, z] per landmark (null when missing)
+   *   hands: { left, right } positions per hand landmark, null for hands that are not tracked
+   *   headRotation: row-major 3x3 rotation of the face, null without face tracking
+   *   partScale: sizes the rig parts along with the avatar
+   */
+  mapPose(pose) {
+    const source = pose.worldLandmarks && pose.worldLandmarks.length > 0 ? 'world' : 'image';
+    const landmarks = source === 'world' ? pose.worldLandmarks : pose.landmarks;
+    if (!landmarks || landmarks.length === 0) {
+      return null;
+    }
+    const body = landmarks.map((lm) => (lm ? this._toBody(lm, source) : null));
+
+    if (this.needsCalibration && this._calibrate(landmarks, body, source)) {
+      this.needsCalibration = false;
+      if (this.onCalibrated) this.onCalibrated(this.calibration);
+    }
+
+    // a calibration only applies to the kind of landmarks it was measured on
+    const cal = this.calibration && this.calibration.source === source ? this.calibration : null;
+    const size = cal ? cal.size : 1;
+    const footY = cal ? cal.footY : this._footY(landmarks, body, size);
+    const center = cal ? cal.center : [0, 0];
+
+    const a = this.anchor;
+    const scale = size * a.scale;
+    const angle = a.facing * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    // scaled and turned body space offset
+    const turn = (x, y, z) => [(cos * x + sin * z) * scale, y * scale, (-sin * x + cos * z) * scale];
+    const positions = body.map((p) => {
+      if (!p) return null;
+      const d = turn(p[0] - center[0], p[1] - footY, p[2] - center[1]);
+      return [a.position[0] + d[0], a.position[1] + d[1], a.position[2] + d[2]];
+    });
+
+    const hands = { left: null, right: null };
+    for (const [side, wrist] of [['left', LEFT_WRIST], ['right', RIGHT_WRIST]]) {
+      const hand = pose.hands && pose.hands[side];
+      if (hand && positions[wrist]) {
+        hands[side] = this._mapHand(hand, positions[wrist], turn);
+      }
+    }
+
+    const headRotation = pose.face && pose.face.transform ? this._mapFaceRotation(pose.face.transform) : null;
+    return { positions, hands, headRotation, partScale: scale / RIG_REFERENCE_SCALE };
+  }
+
+  // hand landmarks relative to the hand's wrist, placed on the pose's wrist
+  _mapHand(hand, wristPosition, turn) {
+    const source = hand.worldLandmarks && hand.worldLandmarks.length > 0 ? 'world' : 'image';
+    const landmarks = source === 'world' ? hand.worldLandmarks : hand.landmarks;
+    if (!landmarks || !landmarks[0]) {
+      return null;
+    }
+    const origin = this._toBody(landmarks[0], source);
+    return landmarks.map((lm) => {
+      const p = this._toBody(lm, source);
+      const d = turn(p[0] - origin[0], p[1] - origin[1], p[2] - origin[2]);
+      return [wristPosition[0] + d[0], wristPosition[1] + d[1], wristPosition[2] + d[2]];
+    });
+  }
+
+  // MediaPipe's column-major face transform is in camera space (x right, y up, z toward the camera),
+  // body space mirrors x (see _toBody), so the rotation is conjugated by that mirror, then turned by the facing
+  _mapFaceRotation(transform) {
+    const r = (row, col) => transform[col * 4 + row];
+    const mirror = [-1, 1, 1];
+    const body = [];
+    for (let row = 0; row < 3; row++) {
+      for (let col = 0; col < 3; col++) {
+        body.push(mirror[row] * r(row, col) * mirror[col]);
+      }
+    }
+    // the transform may carry scale, keep only the rotation
+    for (let col = 0; col < 3; col++) {
+      const len = Math.hypot(body[col], body[3 + col], body[6 + col]) || 1;
+      for (let row = 0; row < 3; row++) body[row * 3 + col] /= len;
+    }
+    const angle = this.anchor.facing * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const out = new Array(9);
+    for (let col = 0; col < 3; col++) {
+      out[col] = cos * body[col] + sin * body[6 + col];
+      out[3 + col] = body[3 + col];
+      out[6 + col] = -sin * body[col] + cos * body[6 + col];
+    }
+    return out;
+  }
+
+  // meters, y up, the mirroring the renderer has always used
+  _toBody(lm, source) {
+    if (source === 'world') {
+      return [-lm.x, -lm.y, -lm.z];
+    }
+    const m = this.options.imageMeters;
+    return [(lm.x - 0.5) * m, -(lm.y - 0.5) * m, -lm.z * m];
+  }
+
+  _visible(lm) {
+    return lm && (lm.visibility === undefined || lm.visibility >= this.options.minVisibility);
+  }
+
+  // lowest visible foot, or a standing guess below the hips, in body space
+  _footY(landmarks, body, size) {
+    const feet = FOOT_LANDMARKS.filter((i) => this._visible(landmarks[i]) && body[i]).map((i) => body[i][1]);
+    if (feet.length > 0) {
+      return Math.min(...feet);
+    }
+    if (body[LEFT_HIP] && body[RIGHT_HIP]) {
+      return (body[LEFT_HIP][1] + body[RIGHT_HIP][1]) / 2 - HIP_HEIGHT * this.options.userHeight / size;
+    }
+    return 0;
+  }
+
+  _calibrate(landmarks, body, source) {
+    const feet = FOOT_LANDMARKS.filter((i) => this._visible(landmarks[i]) && body[i]);
+    if (!this._visible(landmarks[NOSE]) || feet.length === 0 || !body[LEFT_HIP] || !body[RIGHT_HIP]) {
+      return false;
+    }
+    const footY = Math.min(...feet.map((i) => body[i][1]));
+    const height = (body[NOSE][1] - footY) / (1 - HEAD_ABOVE_NOSE);
+    if (height <= 0) {
+      return false;
+    }
+    this.calibration = {
+      source,
+      size: this.options.userHeight / height,
+      footY,
+      // stand where you calibrated to stand on the anchor
+      center: [(body[LEFT_HIP][0] + body[RIGHT_HIP][0]) / 2, (body[LEFT_HIP][2] + body[RIGHT_HIP][2]) / 2],
+      height // body space units, meters for world landmarks
+    };
+    return true;
+  }
+}
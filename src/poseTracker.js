@@ -0,0 +1,127 @@
+/**
+ * PoseTracker - Keeps a stable identity for each detected person across frames
+ *
+ * MediaPipe returns poses in no particular order, so poses[0] can be a
+ * different person from one frame to the next. The tracker matches each new
+ * pose to the avatar slot whose last known body center is closest and rewrites
+ * personId to that slot index.
+ */
+
+export class PoseTracker {
+  constructor(options = {}) {
+    this.maxPeople = options.maxPeople || 2;
+    this.maxMatchDistance = options.maxMatchDistance || 0.35; // normalized image units
+    this.maxMissingFrames = options.maxMissingFrames || 15;   // frames before a slot is released
+
+    this.slots = [];
+    for (let i = 0; i < this.maxPeople; i++) {
+      this.slots.push({ active: false, center: null, missingFrames: 0 });
+    }
+  }
+
+  /**
+   * Assign stable person ids to the poses of one 'pose-data' frame
+   * @param {Object} poseData - Frame produced by PoseExporter.exportPose()
+   * @returns {Object} Same frame with personId set to the avatar slot index
+   */
+  assign(poseData) {
+    if (!poseData || !poseData.poses) {
+      return poseData;
+    }
+
+    const centers = poseData.poses.map((pose) => this.getBodyCenter(pose.landmarks));
+
+    // collect every (slot, pose) pair that could be the same person, closest first
+    const candidates = [];
+    this.slots.forEach((slot, slotIndex) => {
+      if (!slot.active) return;
+      centers.forEach((center, poseIndex) => {
+        if (!center) return;
+        const dist = Math.hypot(center[0] - slot.center[0], center[1] - slot.center[1]);
+        if (dist <= this.maxMatchDistance) {
+          candidates.push({ slotIndex, poseIndex, dist });
+        }
+      });
+    });
+    candidates.sort((a, b) => a.dist - b.dist);
+
+    // greedy matching
+    const slotForPose = new Array(centers.length).fill(-1);
+    const usedSlots = new Set();
+    for (const c of candidates) {
+      if (usedSlots.has(c.slotIndex) || slotForPose[c.poseIndex] >= 0) continue;
+      slotForPose[c.poseIndex] = c.slotIndex;
+      usedSlots.add(c.slotIndex);
+    }
+
+    // new people take the free slot that has been empty the longest
+    for (let p = 0; p < centers.length; p++) {
+      if (slotForPose[p] >= 0 || !centers[p]) continue;
+      let best = -1;
+      for (let s = 0; s < this.slots.length; s++) {
+        if (usedSlots.has(s)) continue;
+        if (best < 0 || this._slotAge(s) > this._slotAge(best)) best = s;
+      }
+      if (best < 0) break; // more people than avatars
+      slotForPose[p] = best;
+      usedSlots.add(best);
+    }
+
+    // update slot state
+    this.slots.forEach((slot, s) => {
+      const p = slotForPose.indexOf(s);
+      if (p >= 0) {
+        slot.active = true;
+        slot.center = centers[p];
+        slot.missingFrames = 0;
+      } else {
+        slot.missingFrames++;
+        if (slot.active && slot.missingFrames > this.maxMissingFrames) {
+          slot.active = false;
+          slot.center = null;
+        }
+      }
+    });
+
+    const poses = [];
+    poseData.poses.forEach((pose, p) => {
+      if (slotForPose[p] < 0) return;
+      poses.push({ ...pose, personId: slotForPose[p], detectionIndex: pose.personId });
+    });
+
+    return { ...poseData, poses: poses };
+  }
+
+  /**
+   * Average of shoulders and hips in normalized image coordinates
+   */
+  getBodyCenter(landmarks) {
+    if (!landmarks || landmarks.length < 25) {
+      return null;
+    }
+    const ids = [11, 12, 23, 24];
+    let x = 0, y = 0;
+    for (const id of ids) {
+      x += landmarks[id].x;
+      y += landmarks[id].y;
+    }
+    return [x / ids.length, y / ids.length];
+  }
+
+  // slots of people who only just dropped out are reused last
+  _slotAge(slotIndex) {
+    const slot = this.slots[slotIndex];
+    return slot.active ? -1 : slot.missingFrames;
+  }
+
+  /**
+   * Forget every tracked person
+   */
+  reset() {
+    for (const slot of this.slots) {
+      slot.active = false;
+      slot.center = null;
+      slot.missingFrames = 0;
+    }
+  }
+}
@@ -1,52 +1,99 @@
-// ppm.js: ppm parser, mirrors c++ ppm parser 
-export function loadPPMFromText(gl, ppmText) {
-    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
-
-    // 1) split lines, strip comments
-    const lines = ppmText.split('\n');
-    const tokens = [];
-    for (let line of lines) {
-        line = line.trim();
-        if (!line || line.startsWith('#')) continue;
-        tokens.push(...line.split(/\s+/));
+// ppm.js: ppm parser, mirrors c++ ppm parser, extended to the binary P6 / P5 and grayscale P2 variants
+//
+// parsePPM(bytes) works on the file's raw bytes and returns { data, width, height }, data being
+// 8 bit RGB rows top to bottom; grayscale is spread over RGB and 16 bit samples (maxVal > 255) are
+// scaled down. Uploading is up to textureLoader.js.
+
+const WHITESPACE = new Set([0x20, 0x09, 0x0a, 0x0b, 0x0c, 0x0d]);
+const COMMENT = 0x23; // '#'
+
+// reads whitespace separated ASCII tokens, skipping # comments up to the end of their line
+class HeaderReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.pos = 0;
+    }
+
+    token() {
+        const bytes = this.bytes;
+        while (this.pos < bytes.length) {
+            if (bytes[this.pos] === COMMENT) {
+                while (this.pos < bytes.length && bytes[this.pos] !== 0x0a && bytes[this.pos] !== 0x0d) this.pos++;
+            } else if (WHITESPACE.has(bytes[this.pos])) {
+                this.pos++;
+            } else {
+                break;
+            }
+        }
+        const start = this.pos;
+        while (this.pos < bytes.length && !WHITESPACE.has(bytes[this.pos]) && bytes[this.pos] !== COMMENT) this.pos++;
+        if (start === this.pos) throw new Error('PPM header too short');
+        return String.fromCharCode(...bytes.subarray(start, this.pos));
+    }
+
+    number() {
+        const value = parseInt(this.token(), 10);
+        if (!(value >= 0)) throw new Error('PPM header is not a number');
+        return value;
     }
+}
+
+export function parsePPM(bytes) {
+    if (!(bytes instanceof Uint8Array)) bytes = new Uint8Array(bytes);
+
+    // 1) handle header
+    const header = new HeaderReader(bytes);
+    const magic = header.token();
+    if (!['P2', 'P3', 'P5', 'P6'].includes(magic)) throw new Error(`Unsupported PPM type ${magic}`);
+    const width = header.number();
+    const height = header.number();
+    const maxVal = header.number();
+    if (width === 0 || height === 0 || maxVal === 0 || maxVal > 65535) throw new Error('Bad PPM header');
+    const channels = magic === 'P3' || magic === 'P6' ? 3 : 1;
+    const sampleCount = width * height * channels;
 
-    // 2) handle header
-    const magic  = tokens.shift();
-    if (magic !== 'P3') throw new Error('Only ASCII P3 PPM supported');
-    const width  = parseInt(tokens.shift(), 10);
-    const height = parseInt(tokens.shift(), 10);
-    const maxVal = parseInt(tokens.shift(), 10);
-    console.log(`PPM size: ${width} × ${height} (max=${maxVal})`);
-
-    // 3) read pixels
-    const pixelCount = width * height * 3;
-    const raw = tokens.slice(0, pixelCount).map(n => parseInt(n, 10));
-    if (raw.length < pixelCount) throw new Error('PPM too short');
-    const imageData = new Uint8Array(raw);
-
-    // 4) upload
-    const tex = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, tex);
-    gl.texImage2D(
-        gl.TEXTURE_2D, 0, gl.RGB,
-        width, height, 0,
-        gl.RGB, gl.UNSIGNED_BYTE,
-        imageData
-    );
-
-    // 5) error handling - POT vs NPOT
-    const isPow2 = v => (v & (v - 1)) === 0;
-    if (isPow2(width) && isPow2(height)) {
-        gl.generateMipmap(gl.TEXTURE_2D);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+    // 2) read samples, binary ones start after exactly one whitespace byte
+    let samples;
+    if (magic === 'P5' || magic === 'P6') {
+        const start = header.pos + 1;
+        if (maxVal < 256) {
+            if (bytes.length < start + sampleCount) throw new Error('PPM too short');
+            samples = bytes.subarray(start, start + sampleCount);
+        } else {
+            if (bytes.length < start + 2 * sampleCount) throw new Error('PPM too short');
+            samples = new Uint16Array(sampleCount);
+            for (let i = 0; i < sampleCount; i++) {
+                samples[i] = (bytes[start + 2 * i] << 8) | bytes[start + 2 * i + 1]; // big endian
+            }
+        }
     } else {
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        samples = maxVal < 256 ? new Uint8Array(sampleCount) : new Uint16Array(sampleCount);
+        let pos = header.pos;
+        for (let i = 0; i < sampleCount; i++) {
+            while (pos < bytes.length && (WHITESPACE.has(bytes[pos]) || bytes[pos] === COMMENT)) {
+                if (bytes[pos] === COMMENT) {
+                    while (pos < bytes.length && bytes[pos] !== 0x0a) pos++;
+                } else {
+                    pos++;
+                }
+            }
+            if (pos >= bytes.length) throw new Error('PPM too short');
+            let value = 0;
+            while (pos < bytes.length && bytes[pos] >= 0x30 && bytes[pos] <= 0x39) {
+                value = value * 10 + bytes[pos++] - 0x30;
+            }
+            samples[i] = value;
+        }
+    }
+
+    // 3) 8 bit RGB
+    const data = new Uint8Array(width * height * 3);
+    const scale = maxVal === 255 ? 1 : 255 / maxVal;
+    for (let p = 0; p < width * height; p++) {
+        for (let c = 0; c < 3; c++) {
+            const sample = samples[p * channels + (channels === 3 ? c : 0)];
+            data[p * 3 + c] = scale === 1 ? sample : Math.min(255, Math.round(sample * scale));
+        }
     }
-    return { tex, imageData, width, height };
-}
\ No newline at end of file
+    return { data, width, height };
+}
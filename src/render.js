@@ -1,11 +1,39 @@
 import { Camera } from './camera.js';
 import { Controls } from './controls.js';
 import { XMLSceneParser } from './XMLSceneParser.js';
-import { SceneFlattener } from './SceneFlattener.js';
+import { SceneFlattener, packObject } from './SceneFlattener.js';
 import { ShaderProgram } from './shaderProgram.js';
-import { loadPPMFromText } from './ppm.js';
+import { loadTexture, createTextureArray } from './textureLoader.js';
+import { SceneBundle } from './sceneBundle.js';
+import { loadMeshFromText } from './meshLoader.js';
 import { PoseReceiver } from './poseExporter.js';
-import { PrimitiveType } from './SceneDataStructures.js';
+import { PoseTracker } from './poseTracker.js';
+import { PoseFilter } from './poseFilter.js';
+import { PoseRecorder, PosePlayer } from './poseRecorder.js';
+import { BodyCameraController } from './bodyCameraController.js';
+import { GestureRecognizer } from './gestureRecognizer.js';
+import { AvatarPhysics } from './avatarPhysics.js';
+import { AvatarRig, DEFAULT_RIG_FILE } from './avatarRig.js';
+import { PoseSpaceMapper, DEFAULT_ANCHOR } from './poseSpaceMapper.js';
+import { ObjectLayout } from './SceneDataStructures.js';
+import { FrameTimer, ResolutionScaler } from './resolutionScaler.js';
+
+const DATA_TEX_WIDTH = 1024;      // texels per row of the mesh and BVH data textures
+const BVH_REBUILD_INTERVAL = 30;  // pose updates between full BVH rebuilds, refit in between
+const MAX_EMISSIVE_OBJECTS = 16;  // matches uEmissiveObjects in test.frag
+const AVATAR_COLLIDER_LANDMARKS = [15, 16, 27, 28]; // wrists and ankles push dynamic objects
+
+// radical inverse of i in base b, low discrepancy subpixel offsets for the accumulated frames
+function halton(i, base) {
+    let result = 0;
+    let f = 1 / base;
+    while (i > 0) {
+        result += f * (i % base);
+        i = Math.floor(i / base);
+        f /= base;
+    }
+    return result;
+}
 
 export class WebGLRenderer {
     constructor(canvasId, statusId, xmlInputId) {
@@ -15,18 +43,46 @@ export class WebGLRenderer {
         this.gl = null;     // webgl context
         this.programs = {   // shader program manager 
             rayTrace: null,
+            display: null,  // shows the accumulation buffer
         };
         this.camera = new Camera(); // our own camera class; handles transformations
-        this.controls = new Controls(this);
 
         this.sceneParser = new XMLSceneParser(); // parses XML scene files
         this.sceneFlattener = null; // flattens the scene into a Float32Array for rendering
         this.sceneTexture = null;
-        this.textures = []          // store WebGLTexture handles 
+        this.meshTexture = null;    // triangles of every mesh in the scene
+        this.meshBVHTexture = null; // one BVH per mesh over its triangles
+        this.bvhTexture = null;     // bounding volume hierarchy over all object rows
+        this.bvhNodeCount = 0;
+        this.posesSinceBVHBuild = 0;
+        this.textureArray = null;   // every scene texture, one layer each (textureLoader.createTextureArray())
+        this.sceneBundle = null;    // uploaded scene with its files (sceneBundle.js), null to fetch them from the server 
         this.sceneReady = false;    // whether the scene is ready to be rendered
+        this.sceneLoading = false;  // loadSceneFromText() is running, other loads are refused until it ends
         this.fullScreenVAO = null;  // vertex array object for full-screen quad rendering
 
         this.maxDepth = 2;         // maximum recursion depth
+        this.reflectionsEnabled = true; // false traces primary rays only, whatever maxDepth says
+        this.areaLightSamples = 8; // shadow rays per area light / spot light with a radius
+        this.frameIndex = 0;       // seeds the shader's random numbers, changes every frame
+        this.emissiveObjects = []; // scene rows that glow, sampled as soft lights
+        this.emissiveLighting = true; // whether emissive objects light their surroundings
+
+        // progressive accumulation: jittered frames are averaged while the view stays the same
+        this.accumulation = true;  // off traces one centered sample per pixel every frame
+        this.maxSamples = 256;     // frames averaged before tracing stops until something changes
+        this.sampleCount = 0;      // frames in the current average
+        this.accumTargets = null;  // [read, write] color buffers at render size, see ensureAccumTargets()
+        this.floatTargets = false; // EXT_color_buffer_float, without it the buffers are 8 bit and nothing is averaged
+        this.lastViewKey = null;   // camera and settings the current average was traced with
+
+        // dynamic resolution: trace fewer pixels than the canvas has to hold a target frame rate
+        this.resolutionScaler = new ResolutionScaler();
+        this.frameTimer = null;    // GPU trace time, CPU frame interval without the timer extension
+        this.renderWidth = 0;      // size of the traced image, upscaled to the canvas
+        this.renderHeight = 0;
+        this.frameStats = { since: null, frames: 0 }; // traced frames for the fps readout
+        this.frameStatsElem = document.getElementById('frameStats');
 
         this.uniformsLogged = false; // debug
 
@@ -39,42 +95,31 @@ export class WebGLRenderer {
 
         // Pose tracking
         this.poseReceiver = null;
-        // Skeleton structure: 1 head sphere + 1 torso cylinder + 12 joint spheres + 8 bone cylinders = 22 objects
-        this.poseObjectCount = 22; // Will be set to skeletonStructure.length below
+        this.maxPeople = 2; // matches numPoses in PoseDetector, each person gets their own skeleton rows
+        this.poseTracker = new PoseTracker({ maxPeople: this.maxPeople }); // keeps avatars from swapping
+        this.poseFilter = new PoseFilter(); // smooths landmark jitter before it reaches the skeleton
+        this.poseRecorder = new PoseRecorder(); // captures the pose-data stream to a file
+        this.posePlayer = new PosePlayer();     // replays a recording through the same pose-data events
+        this.bodyCamera = new BodyCameraController(this.camera); // head / lean driven viewpoint
+        this.gestureRecognizer = new GestureRecognizer(); // emits 'pose-gesture' events, see Controls
+        this.avatarPhysics = new AvatarPhysics(); // hands and feet push the scene's dynamic objects
+        this.physicsEnabled = true;
+        this.lastPhysicsTime = null;
+        this.avatarRig = null;      // avatar parts and materials, loaded with the scene (see avatarRig.js)
+        this.poseMapper = new PoseSpaceMapper(); // landmarks to scene space, anchored by the scene file
+        this.partsPerPerson = 0;    // avatarRig parts, one scene row each
+        this.bodyPartsPerPerson = 0; // the parts before the hand parts
+        this.poseObjectCount = 0;   // partsPerPerson * maxPeople
         this.baseObjectCount = 0; // Objects from XML scene
         this.poseObjectStartIndex = 0; // Index where pose objects start in texture
         this.lastPoseData = null;
+        this.appliedPoseData = null; // pose frame currently in the scene texture
+        this.posesHidden = false;  // every avatar slot is parked, see updatePoseObjects()
+        this.handsHidden = false;  // every hand part is parked
         this.poseDataArray = null; // Float32Array for pose objects data
-        
-        // Skeleton structure definition
-        this.skeletonStructure = [
-            { type: 'head', primitive: PrimitiveType.SHAPE_SPHERE, landmark: 0 }, // nose
-            { type: 'torso', primitive: PrimitiveType.SHAPE_CYLINDER, from: [23, 24], to: [11, 12] }, // hip center to shoulder center
-            { type: 'joint', primitive: PrimitiveType.SHAPE_SPHERE, landmark: 11 }, // left shoulder
-            { type: 'joint', primitive: PrimitiveType.SHAPE_SPHERE, landmark: 13 }, // left elbow
-            { type: 'joint', primitive: PrimitiveType.SHAPE_SPHERE, landmark: 15 }, // left wrist
-            { type: 'joint', primitive: PrimitiveType.SHAPE_SPHERE, landmark: 12 }, // right shoulder
-            { type: 'joint', primitive: PrimitiveType.SHAPE_SPHERE, landmark: 14 }, // right elbow
-            { type: 'joint', primitive: PrimitiveType.SHAPE_SPHERE, landmark: 16 }, // right wrist
-            { type: 'joint', primitive: PrimitiveType.SHAPE_SPHERE, landmark: 23 }, // left hip
-            { type: 'joint', primitive: PrimitiveType.SHAPE_SPHERE, landmark: 25 }, // left knee
-            { type: 'joint', primitive: PrimitiveType.SHAPE_SPHERE, landmark: 27 }, // left ankle
-            { type: 'joint', primitive: PrimitiveType.SHAPE_SPHERE, landmark: 24 }, // right hip
-            { type: 'joint', primitive: PrimitiveType.SHAPE_SPHERE, landmark: 26 }, // right knee
-            { type: 'joint', primitive: PrimitiveType.SHAPE_SPHERE, landmark: 28 }, // right ankle
-            // Bones (cylinders)
-            { type: 'bone', primitive: PrimitiveType.SHAPE_CYLINDER, from: 11, to: 13 }, // left upper arm
-            { type: 'bone', primitive: PrimitiveType.SHAPE_CYLINDER, from: 13, to: 15 }, // left lower arm
-            { type: 'bone', primitive: PrimitiveType.SHAPE_CYLINDER, from: 12, to: 14 }, // right upper arm
-            { type: 'bone', primitive: PrimitiveType.SHAPE_CYLINDER, from: 14, to: 16 }, // right lower arm
-            { type: 'bone', primitive: PrimitiveType.SHAPE_CYLINDER, from: 23, to: 25 }, // left upper leg
-            { type: 'bone', primitive: PrimitiveType.SHAPE_CYLINDER, from: 25, to: 27 }, // left lower leg
-            { type: 'bone', primitive: PrimitiveType.SHAPE_CYLINDER, from: 24, to: 26 }, // right upper leg
-            { type: 'bone', primitive: PrimitiveType.SHAPE_CYLINDER, from: 26, to: 28 }  // right lower leg
-        ];
-        
-        // Update count to match structure
-        this.poseObjectCount = this.skeletonStructure.length;
+        this.sceneDataArray = null; // every scene texture row, dynamic objects are moved in place
+
+        this.controls = new Controls(this); // after everything the UI hooks into exists
 
         this.init();
     }
@@ -96,7 +141,9 @@ export class WebGLRenderer {
 
     setupPoseReceiver() {
         this.poseReceiver = new PoseReceiver((poseData) => {
-            this.lastPoseData = poseData;
+            // tracking first so each person's filter state follows the right body
+            this.lastPoseData = this.poseFilter.apply(this.poseTracker.assign(poseData));
+            this.gestureRecognizer.handlePoseData(this.lastPoseData);
         });
     }
 
@@ -106,6 +153,8 @@ export class WebGLRenderer {
             this.statusElem.textContent = "Error: WebGL2 not supported in this browser.";
             return false;
         }
+        this.floatTargets = !!this.gl.getExtension('EXT_color_buffer_float'); // for the accumulation buffers
+        this.frameTimer = new FrameTimer(this.gl);
         this.gl.clearColor(0.1, 0.1, 0.1, 1.0); // background color is dark grey by default 
         this.gl.enable(this.gl.DEPTH_TEST);     // should we leave this on? 
         return true;
@@ -116,6 +165,8 @@ export class WebGLRenderer {
         const vsText = await fetch('./shaders/test.vert').then((r) => r.text());
         const fsText = await fetch('./shaders/test.frag').then((r) => r.text());
         this.programs.rayTrace = new ShaderProgram(gl, vsText, fsText);
+        const displayText = await fetch('./shaders/display.frag').then((r) => r.text());
+        this.programs.display = new ShaderProgram(gl, vsText, displayText);
     }
 
     async reloadShaders(name) {
@@ -134,6 +185,10 @@ export class WebGLRenderer {
     setupEventHandlers() {
         if (this.xmlInput) {
             this.xmlInput.addEventListener('change', (evt) => this.handleXMLFileInput(evt));
+            const folderInput = document.getElementById('sceneFolderInput');
+            if (folderInput) {
+                folderInput.addEventListener('change', (evt) => this.handleXMLFileInput(evt));
+            }
         }
         else {
             console.error('XML input element not found. Please check the HTML.');
@@ -147,68 +202,18 @@ export class WebGLRenderer {
             this.statusElem.textContent = 'No file selected';
             return;
         }
-        const xmlFile = fileList[0];
-        if (!xmlFile.name.endsWith('.xml')) {
-            this.statusElem.textContent = 'Please select a valid XML file';
+        if (this.sceneLoading) {
+            this.statusElem.textContent = 'A scene is still loading, try again when it is done';
             return;
         }
+        const xmlFile = fileList[0];
+        if (fileList.length > 1 || !xmlFile.name.endsWith('.xml')) {
+            // a folder, a .zip or several files: the scene's meshes and textures come along
+            return this.loadSceneBundle(fileList);
+        }
 
         const reader = new FileReader();
-        reader.onload = async (loadEvt) => {
-            try {
-                const xmlText = loadEvt.target.result;
-                this.sceneParser = new XMLSceneParser(); // reset parser for new file
-                const parseOk = await this.sceneParser.parseFromString(xmlText);
-                if (!parseOk) throw new Error('XMLSceneParser error: parsing failed');
-                const rootNode = this.sceneParser.getRootNode();
-
-                // flatten the scene
-                this.sceneFlattener = new SceneFlattener(rootNode);
-                this.sceneFlattener.flatten();
-                const flatArray = this.sceneFlattener.getFloat32Array();
-                const objectCount = this.sceneFlattener.getObjectCount();
-                const floatsPerObject = this.sceneFlattener.floatsPerObject;
-                console.log(`Flatten Array: ${flatArray}`);
-
-                // Store base scene info
-                this.baseObjectCount = objectCount;
-                
-                // pass the flattened data to the shader program (includes pose objects)
-                this.createSceneDataTexture(flatArray, objectCount, floatsPerObject);
-
-                // new in a4: load all PPMs referenced in the scene
-                const gl = this.gl;
-                const maps = this.sceneFlattener.getTextureMaps();
-                this.textures = await Promise.all(maps.map(async (map) => {
-                    const text = await fetch(map.filename).then(r => r.text());
-                    const { tex } = loadPPMFromText(gl, text);
-                    return tex;
-                }));
-
-                // set up the camera
-                this.camera.reset();
-                const cameraData = this.sceneParser.getCameraData();
-                if (cameraData.isDir) {
-                    this.camera.orientLookVec(cameraData.pos, cameraData.look, cameraData.up);
-                    this.controls.updateCameraInfo();
-                }
-                else {
-                    this.camera.orientLookAt(cameraData.pos, cameraData.lookAt, cameraData.up);
-                    this.controls.updateCameraInfo();
-                }
-
-                // // new in a4: load scene textures from parser 
-                // const texImages = this.sceneParser.getTextures();
-                // this.textures = [];
-                // texImages.forEach((img, ti))
-
-                this.sceneReady = true;
-                this.statusElem.textContent = `Scene loaded successfully: ${objectCount} objects, ${floatsPerObject} floats per object`;
-            } catch (e) {
-                console.error('Error loading or flattening scene:', e);
-                this.statusElem.textContent = 'Error loading scene: ' + e.message;
-            }
-        };
+        reader.onload = (loadEvt) => this.loadSceneFromText(loadEvt.target.result);
         reader.onerror = (err) => {
             console.error('File reading error:', err);
             this.statusElem.textContent = 'Error reading file: ' + err.message;
@@ -216,6 +221,141 @@ export class WebGLRenderer {
         reader.readAsText(xmlFile);
     }
 
+    // a scene uploaded with its files, see sceneBundle.js
+    async loadSceneBundle(fileList) {
+        let bundle;
+        try {
+            bundle = await SceneBundle.fromFiles(fileList);
+        } catch (e) {
+            console.error('Error reading scene bundle:', e);
+            this.statusElem.textContent = 'Error loading scene: ' + e.message;
+            return;
+        }
+        return this.loadSceneFromText(await bundle.getSceneText(), bundle);
+    }
+
+    // fetch() for files the scene references, from the uploaded bundle if there is one
+    fetchSceneFile(filename) {
+        return this.sceneBundle ? this.sceneBundle.fetch(filename) : fetch(filename);
+    }
+
+    // parse, flatten and upload a scene file, meshes and textures are fetched relative to the page
+    // or taken from the uploaded scene bundle
+    // Nothing is rendered until the load is done, the scene and BVH textures are rebuilt piece by piece.
+    async loadSceneFromText(xmlText, bundle = null) {
+        if (this.sceneLoading) {
+            console.warn('A scene is still loading, ignoring another load');
+            return;
+        }
+        this.sceneLoading = true;
+        this.sceneReady = false;
+        try {
+            this.sceneText = xmlText; // kept for reloadScene()
+            this.sceneBundle = bundle;
+            this.sceneParser = new XMLSceneParser(); // reset parser for new file
+            const parseOk = await this.sceneParser.parseFromString(xmlText);
+            if (!parseOk) throw new Error('XMLSceneParser error: parsing failed');
+            const rootNode = this.sceneParser.getRootNode();
+
+            // flatten the scene
+            this.sceneFlattener = new SceneFlattener(rootNode);
+            this.sceneFlattener.flatten();
+
+            // the rig decides how many rows the avatars take, its textures share the scene's list
+            // it is only swapped in next to createSceneDataTexture(), which sizes the pose rows from it
+            const rig = await this.loadAvatarRig();
+            this.sceneFlattener.addTextureMaps(rig.getMaterials(this.maxPeople));
+
+            // name every file an uploaded bundle lacks at once, not just the first one loaded
+            const meshFiles = this.sceneFlattener.getMeshFiles();
+            const maps = this.sceneFlattener.getTextureMaps();
+            if (this.sceneBundle) {
+                this.sceneBundle.requireFiles([...meshFiles, ...maps.map(map => map.filename)]);
+            }
+
+            // load all meshes referenced in the scene before packing, mesh objects store the root of their BVH
+            const meshes = await Promise.all(meshFiles.map(async (filename) => {
+                const response = await this.fetchSceneFile(filename);
+                if (!response.ok) throw new Error(`Could not load mesh ${filename} (${response.status})`);
+                return loadMeshFromText(filename, await response.text());
+            }));
+            this.sceneFlattener.setMeshes(meshes);
+            this.createMeshDataTexture(this.sceneFlattener.getMeshFloat32Array(), this.sceneFlattener.getMeshBVHFloat32Array());
+
+            const flatArray = this.sceneFlattener.getFloat32Array();
+            const objectCount = this.sceneFlattener.getObjectCount();
+            const floatsPerObject = this.sceneFlattener.floatsPerObject;
+            console.log(`Flatten Array: ${flatArray}`);
+
+            // Store base scene info
+            this.baseObjectCount = objectCount;
+            this.emissiveObjects = this.sceneFlattener.getEmissiveObjects();
+            if (this.emissiveObjects.length > MAX_EMISSIVE_OBJECTS) {
+                console.warn(`${this.emissiveObjects.length} emissive objects, only the first ${MAX_EMISSIVE_OBJECTS} light the scene`);
+                this.emissiveObjects = this.emissiveObjects.slice(0, MAX_EMISSIVE_OBJECTS);
+            }
+            
+            // pass the flattened data to the shader program (includes pose objects)
+            this.setAvatarRig(rig);
+            this.createSceneDataTexture(flatArray, objectCount, floatsPerObject);
+            this.avatarPhysics.setScene(this.sceneDataArray, objectCount, this.floatsPerRow, this.sceneFlattener.getDynamicObjects());
+
+            // new in a4: load all textures referenced in the scene (PPM, PNG or JPEG, see textureLoader.js)
+            // packed into one texture array, so any number of them fit the same sampler
+            const gl = this.gl;
+            const textures = await Promise.all(maps.map(map => loadTexture(gl, map.filename, (url) => this.fetchSceneFile(url))));
+            if (this.textureArray) {
+                gl.deleteTexture(this.textureArray.tex);
+            }
+            this.textureArray = createTextureArray(gl, textures);
+            textures.forEach(t => gl.deleteTexture(t.tex));
+
+            // set up the camera
+            this.resetScene();
+
+            // stand the avatar where the scene wants it
+            this.poseMapper.setAnchor({ ...DEFAULT_ANCHOR, ...this.sceneParser.getAvatarAnchor() });
+            this.controls.updateAvatarPlacement();
+
+            // // new in a4: load scene textures from parser 
+            // const texImages = this.sceneParser.getTextures();
+            // this.textures = [];
+            // texImages.forEach((img, ti))
+
+            this.sceneReady = true;
+            this.resetAccumulation();
+            this.statusElem.textContent = `Scene loaded successfully: ${objectCount} objects, ${floatsPerObject} floats per object`;
+        } catch (e) {
+            console.error('Error loading or flattening scene:', e);
+            this.statusElem.textContent = 'Error loading scene: ' + e.message;
+        } finally {
+            this.sceneLoading = false;
+        }
+    }
+
+    // the scene's <avatar> rig if it has one, otherwise the default rig file
+    async loadAvatarRig() {
+        const avatar = this.sceneParser.getAvatarData();
+        if (!avatar) {
+            return AvatarRig.load(DEFAULT_RIG_FILE);
+        }
+        return avatar.rigFile ? AvatarRig.load(avatar.rigFile, (url) => this.fetchSceneFile(url)) : new AvatarRig(avatar);
+    }
+
+    setAvatarRig(rig) {
+        this.avatarRig = rig;
+        this.partsPerPerson = rig.getPartCount();
+        this.bodyPartsPerPerson = rig.getBodyPartCount();
+        this.poseObjectCount = this.partsPerPerson * this.maxPeople;
+    }
+
+    // load the current scene file again, e.g. after editing its meshes or textures
+    reloadScene() {
+        if (this.sceneText) {
+            return this.loadSceneFromText(this.sceneText, this.sceneBundle);
+        }
+    }
+
     createSceneDataTexture(flatArray, objectCount, floatsPerObject) {
         const gl = this.gl;
         // Make sure each row is a multiple of 4 floats (for RGBA32F)
@@ -265,6 +405,9 @@ export class WebGLRenderer {
         gl.bindTexture(gl.TEXTURE_2D, null);
 
         // Store the texture and metadata in the renderer
+        if (this.sceneTexture) {
+            gl.deleteTexture(this.sceneTexture);
+        }
         this.sceneTexture = tex;
         this.objectCount = totalObjectCount;
         this.floatsPerObject = floatsPerObject;
@@ -272,64 +415,96 @@ export class WebGLRenderer {
         this.texWidth = texWidth;
         this.texHeight = texHeight;
         
-        // Store reference to pose data array for updates
-        this.poseDataArray = new Float32Array(floatsPerRow * this.poseObjectCount);
+        this.sceneDataArray = dataArray;
+
+        // pose rows start as packed above (materials included), updates only rewrite their matrices
+        this.poseDataArray = dataArray.slice(objectCount * floatsPerRow, totalObjectCount * floatsPerRow);
+        this.posesHidden = false;
+        this.handsHidden = false;
+        this.appliedPoseData = null;
+
+        // acceleration structure over every row, pose rows are refit as they move
+        this.sceneFlattener.buildBVH(dataArray, totalObjectCount, floatsPerRow);
+        this.createBVHDataTexture();
+    }
+
+    // generic RGBA32F texture of rows of DATA_TEX_WIDTH texels, read with a linear texel index in the shader
+    createLinearDataTexture(array) {
+        const gl = this.gl;
+        // at least one row so the sampler is always complete
+        const texelCount = array.length / 4;
+        const texHeight = Math.max(1, Math.ceil(texelCount / DATA_TEX_WIDTH));
+        const dataArray = new Float32Array(DATA_TEX_WIDTH * texHeight * 4);
+        dataArray.set(array);
+
+        const tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texImage2D(
+            gl.TEXTURE_2D,
+            0,
+            gl.RGBA32F,
+            DATA_TEX_WIDTH,
+            texHeight,
+            0,
+            gl.RGBA,
+            gl.FLOAT,
+            dataArray
+        );
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        return tex;
+    }
+
+    createMeshDataTexture(meshArray, meshBVHArray) {
+        if (this.meshTexture) {
+            this.gl.deleteTexture(this.meshTexture);
+            this.gl.deleteTexture(this.meshBVHTexture);
+        }
+        this.meshTexture = this.createLinearDataTexture(meshArray);
+        this.meshBVHTexture = this.createLinearDataTexture(meshBVHArray);
+    }
+
+    createBVHDataTexture() {
+        if (this.bvhTexture) {
+            this.gl.deleteTexture(this.bvhTexture);
+        }
+        this.bvhTexture = this.createLinearDataTexture(this.sceneFlattener.getBVHFloat32Array());
+        this.bvhNodeCount = this.sceneFlattener.getBVHNodeCount();
+        this.posesSinceBVHBuild = 0;
+    }
+
+    // node count never changes between builds (one leaf per object), so the texture is updated in place
+    updateBVHDataTexture() {
+        const gl = this.gl;
+        const bvhArray = this.sceneFlattener.getBVHFloat32Array();
+        const texelCount = bvhArray.length / 4;
+        const fullRows = Math.floor(texelCount / DATA_TEX_WIDTH);
+        const remainder = texelCount - fullRows * DATA_TEX_WIDTH;
+
+        gl.bindTexture(gl.TEXTURE_2D, this.bvhTexture);
+        if (fullRows > 0) {
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, DATA_TEX_WIDTH, fullRows,
+                gl.RGBA, gl.FLOAT, bvhArray.subarray(0, fullRows * DATA_TEX_WIDTH * 4));
+        }
+        if (remainder > 0) {
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, fullRows, remainder, 1,
+                gl.RGBA, gl.FLOAT, bvhArray.subarray(fullRows * DATA_TEX_WIDTH * 4));
+        }
+        gl.bindTexture(gl.TEXTURE_2D, null);
     }
 
     initializePoseObjects(dataArray, startIndex, floatsPerObject, floatsPerRow) {
-        // Initialize each pose object based on skeleton structure
+        // one block of rig parts per person, identity matrices until the first pose arrives
+        const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
         for (let i = 0; i < this.poseObjectCount; ++i) {
-            const objIndex = startIndex + i;
-            const offset = objIndex * floatsPerRow;
-            const part = this.skeletonStructure[i];
-            
-            // Type based on skeleton part
-            dataArray[offset] = part.primitive;
-            
-            // World matrix: identity (will be updated with transformations)
-            for (let j = 0; j < 16; j++) {
-                dataArray[offset + 1 + j] = (j % 5 === 0) ? 1.0 : 0.0; // Identity matrix
-            }
-            
-            // Material properties (18 floats)
-            const matOffset = offset + 17;
-            // Ambient (r, g, b)
-            dataArray[matOffset] = 0.2;
-            dataArray[matOffset + 1] = 0.2;
-            dataArray[matOffset + 2] = 0.2;
-            
-            // Diffuse color based on part type
-            let rgb;
-            if (part.type === 'head') {
-                rgb = [1.0, 0.8, 0.6]; // Skin tone
-            } else if (part.type === 'torso') {
-                rgb = [0.2, 0.4, 0.8]; // Blue
-            } else if (part.type === 'joint') {
-                rgb = [0.9, 0.9, 0.9]; // White joints
-            } else { // bone
-                rgb = [0.6, 0.6, 0.6]; // Gray bones
-            }
-            
-            dataArray[matOffset + 3] = rgb[0];
-            dataArray[matOffset + 4] = rgb[1];
-            dataArray[matOffset + 5] = rgb[2];
-            // Specular (r, g, b)
-            dataArray[matOffset + 6] = 0.5;
-            dataArray[matOffset + 7] = 0.5;
-            dataArray[matOffset + 8] = 0.5;
-            // Shininess
-            dataArray[matOffset + 9] = 30.0;
-            // IOR
-            dataArray[matOffset + 10] = 1.0;
-            // Texture map (not used)
-            dataArray[matOffset + 11] = 0.0;
-            dataArray[matOffset + 12] = 1.0; // repeatU
-            dataArray[matOffset + 13] = 1.0; // repeatV
-            dataArray[matOffset + 14] = 0.0; // textureIndex
-            // Reflective (r, g, b)
-            dataArray[matOffset + 15] = 0.0;
-            dataArray[matOffset + 16] = 0.0;
-            dataArray[matOffset + 17] = 0.0;
+            const person = Math.floor(i / this.partsPerPerson);
+            const partIndex = i % this.partsPerPerson;
+            const part = this.avatarRig.parts[partIndex];
+            packObject(dataArray, (startIndex + i) * floatsPerRow, part.primitive, identity,
+                this.avatarRig.getMaterial(partIndex, person), null);
         }
     }
 
@@ -411,6 +586,7 @@ export class WebGLRenderer {
             console.log(`uLightAngle[${i}]    =`, read(`uLightAngle[${i}]`));
             console.log(`uLightWidth[${i}]    =`, read(`uLightWidth[${i}]`));
             console.log(`uLightHeight[${i}]   =`, read(`uLightHeight[${i}]`));
+            console.log(`uLightFunction[${i}] =`, read(`uLightFunction[${i}]`));
             console.groupEnd();
         }
         console.groupEnd();
@@ -435,64 +611,231 @@ export class WebGLRenderer {
         }
     }
 
+    // put the camera back where the scene file places it, undoing orbit / pan / zoom / fly moves
     resetScene() {
         this.camera.reset();
         const cam = this.sceneParser.getCameraData();
+        // scenes without <heightangle> keep the view angle they always had
+        if (cam.heightAngle !== null) {
+            this.camera.setViewAngle(cam.heightAngle);
+        }
         if (cam.isDir) {
             this.camera.orientLookVec(cam.pos, cam.look, cam.up);
+            // orbit around a point in front of the camera, as far as the look vector reaches
+            const look = vec3.fromValues(cam.look[0], cam.look[1], cam.look[2]);
+            this.controls.setFocusPoint(vec3.add(vec3.create(), cam.pos, look));
         } else {
             this.camera.orientLookAt(cam.pos, cam.lookAt, cam.up);
+            this.controls.setFocusPoint(cam.lookAt);
         }
+        this.bodyCamera.setBase(this.camera.getEyePoint(), this.controls.focusPoint, this.camera.getUpVector());
         this.controls.updateCameraInfo();
     }
 
+    // returns whether the pose rows changed
     updatePoseObjects(poseData) {
         // check pose data has been recieved
-        if (!poseData || !poseData.poses || poseData.poses.length === 0) {
-            return;
+        if (!poseData || !poseData.poses) {
+            return false;
         }
         if (!this.sceneTexture || !this.poseDataArray) {
+            return false;
+        }
+        // empty frames keep coming while nobody is in view, the avatars only need hiding once
+        const empty = poseData.poses.length === 0;
+        if (empty && this.posesHidden) {
+            return false;
+        }
+        this.posesHidden = empty;
+        const gl = this.gl;
+
+        // the hand parts (last in every slot) stay parked while no pose has hands, only the body rows move
+        const withHands = poseData.poses.some((p) => p.hands);
+        const partCount = withHands || !this.handsHidden ? this.partsPerPerson : this.bodyPartsPerPerson;
+        this.handsHidden = !withHands;
+
+        // each avatar slot reads the pose the tracker assigned to it, slots without a person are hidden
+        for (let person = 0; person < this.maxPeople; person++) {
+            const pose = poseData.poses.find((p) => p.personId === person);
+            this.updatePersonObjects(person, pose, partCount);
+        }
+
+        // Finally, we update texture with new pose data using texSubImage2D, slot by slot
+        // moving pose objects: refit the BVH every update, rebuild now and then so it stays tight
+        gl.bindTexture(gl.TEXTURE_2D, this.sceneTexture);
+        for (let person = 0; person < this.maxPeople; person++) {
+            const firstPart = person * this.partsPerPerson;
+            const rows = this.poseDataArray.subarray(firstPart * this.floatsPerRow, (firstPart + partCount) * this.floatsPerRow);
+            gl.texSubImage2D(
+                gl.TEXTURE_2D,
+                0,
+                0, // x offset
+                this.poseObjectStartIndex + firstPart, // y offset is the slot's first row
+                this.texWidth, // width
+                partCount, // height is the number of rows that changed
+                gl.RGBA,
+                gl.FLOAT,
+                rows
+            );
+            this.sceneFlattener.updateBVHBounds(rows, this.poseObjectStartIndex + firstPart, partCount, this.floatsPerRow);
+        }
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        this.sceneFlattener.refitBVH();
+        if (++this.posesSinceBVHBuild >= BVH_REBUILD_INTERVAL) {
+            this.sceneFlattener.rebuildBVH();
+            this.posesSinceBVHBuild = 0;
+        }
+        this.updateBVHDataTexture();
+
+        this.avatarPhysics.setColliders(this.getAvatarColliders(), poseData.timestamp);
+        return true;
+    }
+
+    // wrist and ankle spheres of every avatar, read back from the pose rows
+    getAvatarColliders() {
+        const colliders = [];
+        for (let person = 0; person < this.maxPeople; person++) {
+            this.avatarRig.parts.forEach((part, i) => {
+                if (part.hand || !AVATAR_COLLIDER_LANDMARKS.includes(part.landmark)) return;
+                const m = (person * this.partsPerPerson + i) * this.floatsPerRow + ObjectLayout.MATRIX;
+                const center = [this.poseDataArray[m + 3], this.poseDataArray[m + 7], this.poseDataArray[m + 11]];
+                if (center[1] >= 1000) return; // parked outside the scene, see hiddenPoseMatrix()
+                colliders.push({
+                    id: `${person}-${part.landmark}`,
+                    center: center,
+                    radius: this.poseDataArray[m] * 0.5 // unit sphere scaled uniformly
+                });
+            });
+        }
+        return colliders;
+    }
+
+    // advance the avatar physics and upload the dynamic objects that moved
+    updateDynamicObjects(time) {
+        const dt = this.lastPhysicsTime === null ? 0 : (time - this.lastPhysicsTime) / 1000;
+        this.lastPhysicsTime = time;
+        if (this.physicsEnabled) {
+            this.uploadSceneRows(this.avatarPhysics.step(dt));
+        }
+    }
+
+    // put the dynamic objects back where the scene file placed them
+    resetDynamicObjects() {
+        this.uploadSceneRows(this.avatarPhysics.reset());
+    }
+
+    // upload { firstRow, count } rows of sceneDataArray and refit the BVH around them
+    uploadSceneRows(range) {
+        if (!range || !this.sceneTexture) {
             return;
         }
+        const gl = this.gl;
+        const { firstRow, count } = range;
+        const rows = this.sceneDataArray.subarray(firstRow * this.floatsPerRow, (firstRow + count) * this.floatsPerRow);
+        gl.bindTexture(gl.TEXTURE_2D, this.sceneTexture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, firstRow, this.texWidth, count, gl.RGBA, gl.FLOAT, rows);
+        gl.bindTexture(gl.TEXTURE_2D, null);
 
-        // pull in pose landmarks
-        const pose = poseData.poses[0];
-        const landmarks = pose.worldLandmarks && pose.worldLandmarks.length > 0
-            ? pose.worldLandmarks
-            : pose.landmarks;
-        if (landmarks.length < 33) {
+        this.sceneFlattener.updateBVHBounds(rows, firstRow, count, this.floatsPerRow);
+        this.sceneFlattener.refitBVH();
+        this.updateBVHDataTexture();
+        this.resetAccumulation();
+    }
+
+    // start a new average, for changes the view key in renderFrame() does not see
+    resetAccumulation() {
+        this.sampleCount = 0;
+    }
+
+    // two color buffers at render size, each frame reads one and writes the other
+    ensureAccumTargets(width, height) {
+        const gl = this.gl;
+        if (this.accumTargets && this.accumTargets[0].width === width && this.accumTargets[0].height === height) {
             return;
         }
+        if (this.accumTargets) {
+            for (const target of this.accumTargets) {
+                gl.deleteFramebuffer(target.framebuffer);
+                gl.deleteTexture(target.texture);
+            }
+        }
+        this.accumTargets = [0, 1].map(() => {
+            const texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            if (this.floatTargets) {
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+            } else {
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            }
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            const framebuffer = gl.createFramebuffer();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+            return { texture, framebuffer, width, height };
+        });
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        this.resetAccumulation();
+    }
 
+    // draw the latest average to the canvas, upscaled from the render size
+    displayAccumulation() {
         const gl = this.gl;
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.useProgram(this.programs.display.program);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.accumTargets[0].texture);
+        this.programs.display.setInteger('uImage', 0);
+        this.programs.display.setVector2('uResolution', [this.canvas.width, this.canvas.height]);
+        gl.bindVertexArray(this.fullScreenVAO);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+        gl.bindVertexArray(null);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    // sub-pixel sized object far outside the scene, used for skeleton parts that have nothing to show
+    hiddenPoseMatrix() {
+        return new Float32Array([
+            0.001, 0, 0, 1000,
+            0, 0.001, 0, 1000,
+            0, 0, 0.001, 1000,
+            0, 0, 0, 1
+        ]);
+    }
+
+    // updates the first partCount parts of the person's slot
+    updatePersonObjects(person, pose, partCount) {
         const floatsPerRow = this.floatsPerRow;
+        const firstPart = person * this.partsPerPerson;
 
-        // helper function converting landmark to a 3D pos
-        const landmarkToPos = (landmark) => {
-            if (!landmark) return [1000, 1000, 1000]; 
-           
-            if (pose.worldLandmarks && pose.worldLandmarks.length > 0) {
-                return [
-                    -landmark.x * 2.0,           
-                    -landmark.y * 2.0 + 1.5,    
-                    -landmark.z * 2.0           
-                ];
-            } else {
-                return [
-                    (landmark.x - 0.5) * 4.0,    
-                    -(landmark.y - 0.5) * 4.0 + 1.5, 
-                    -landmark.z * 4.0            
-                ];
+        // pull in pose landmarks
+        const landmarks = !pose ? []
+            : pose.worldLandmarks && pose.worldLandmarks.length > 0
+                ? pose.worldLandmarks
+                : pose.landmarks;
+        if (landmarks.length < 33) {
+            // nobody in this slot, park the whole skeleton far outside the scene
+            for (let i = 0; i < partCount; i++) {
+                const offset = (firstPart + i) * floatsPerRow;
+                this.poseDataArray.set(this.hiddenPoseMatrix(), offset + 1);
             }
-        };
+            return;
+        }
+
+        // landmarks in scene space, placed on the scene's avatar anchor (see poseSpaceMapper.js)
+        const { positions, hands, headRotation, partScale } = this.poseMapper.mapPose(pose);
 
-        // helper function that gets landmark by index
-        const getLandmark = (idx) => {
+        // helper function that gets landmark by index, from the pose or from one hand's landmarks
+        const getLandmark = (idx, positions) => {
+            const landmarkToPos = (i) => positions[i] || [1000, 1000, 1000];
             if (Array.isArray(idx)) {
                 let sumX = 0, sumY = 0, sumZ = 0, count = 0;
                 for (const i of idx) {
-                    if (i < landmarks.length && landmarks[i]) {
-                        const pos = landmarkToPos(landmarks[i]);
+                    if (positions[i]) {
+                        const pos = positions[i];
                         sumX += pos[0];
                         sumY += pos[1];
                         sumZ += pos[2];
@@ -501,7 +844,7 @@ export class WebGLRenderer {
                 }
                 return count > 0 ? [sumX / count, sumY / count, sumZ / count] : [1000, 1000, 1000];
             } else {
-                return idx < landmarks.length ? landmarkToPos(landmarks[idx]) : [1000, 1000, 1000];
+                return landmarkToPos(idx);
             }
         };
 
@@ -516,12 +859,7 @@ export class WebGLRenderer {
             const length = Math.sqrt(dir[0]*dir[0] + dir[1]*dir[1] + dir[2]*dir[2]);
            
             if (length < 0.001) {
-                return new Float32Array([
-                    0.001, 0, 0, 1000,
-                    0, 0.001, 0, 1000,
-                    0, 0, 0.001, 1000,
-                    0, 0, 0, 1
-                ]);
+                return this.hiddenPoseMatrix();
             }
            
             // get rotation
@@ -578,44 +916,34 @@ export class WebGLRenderer {
             // Note: used row-major format
         };
 
-        // updating each skeleton part, part by part
-        for (let i = 0; i < this.poseObjectCount; i++) {
-            const offset = i * floatsPerRow;
-            const part = this.skeletonStructure[i];
+        // updating each rig part, part by part, materials were packed by initializePoseObjects()
+        for (let i = 0; i < partCount; i++) {
+            const offset = (firstPart + i) * floatsPerRow;
+            const part = this.avatarRig.parts[i];
+            const partPositions = part.hand ? hands[part.hand] : positions;
             let matrix;
            
-            if (part.type === 'head' || part.type === 'joint') {
-                // sphere at landmark position with scale
-                const pos = getLandmark(part.landmark);
-                const baseJointScale = 0.24; // base size for joints
-                const scale = part.type === 'head' ? baseJointScale * 3.0 : baseJointScale; // head is 3x joints
-                // Scale and translation matrix (also row-major)
+            if (!partPositions) {
+                // hand part while that hand is not tracked
+                matrix = this.hiddenPoseMatrix();
+            } else if (part.kind === 'joint') {
+                // primitive at the landmark position with the part's size, turned with the face if asked to
+                const pos = getLandmark(part.landmark, partPositions);
+                const r = part.orient === 'face' && headRotation ? headRotation : [1, 0, 0, 0, 1, 0, 0, 0, 1];
+                const s = part.size.map(v => v * partScale);
+                const o = part.offset.map(v => v * partScale);
+                // Rotation * scale and translation matrix (also row-major)
                 matrix = new Float32Array([
-                    scale, 0, 0, pos[0],
-                    0, scale, 0, pos[1],
-                    0, 0, scale, pos[2],
+                    r[0] * s[0], r[1] * s[1], r[2] * s[2], pos[0] + r[0] * o[0] + r[1] * o[1] + r[2] * o[2],
+                    r[3] * s[0], r[4] * s[1], r[5] * s[2], pos[1] + r[3] * o[0] + r[4] * o[1] + r[5] * o[2],
+                    r[6] * s[0], r[7] * s[1], r[8] * s[2], pos[2] + r[6] * o[0] + r[7] * o[1] + r[8] * o[2],
                     0, 0, 0, 1
                 ]);
-            } else if (part.type === 'torso') {
-                // the cylinder from hip center to shoulder center
-                const hipCenter = getLandmark(part.from);
-                const shoulderCenter = getLandmark(part.to);
-                const baseJointScale = 0.16; // base size for joints
-                const torsoRadius = baseJointScale * 4.0; // torso is 4x joints
-                matrix = createCylinderMatrix(hipCenter, shoulderCenter, torsoRadius, 2.0);
-            } else if (part.type === 'bone') {
-                // cylinders between joints
-                const fromPos = getLandmark(part.from);
-                const toPos = getLandmark(part.to);
-                const boneRadius = 0.05 * 2.0;
-                matrix = createCylinderMatrix(fromPos, toPos, boneRadius);
             } else {
-                matrix = new Float32Array([
-                    1, 0, 0, 0,
-                    0, 1, 0, 0,
-                    0, 0, 1, 0,
-                    0, 0, 0, 1
-                ]);
+                // segment: the primitive's y axis stretched from one landmark (or landmark center) to the other
+                const fromPos = getLandmark(part.from, partPositions);
+                const toPos = getLandmark(part.to, partPositions);
+                matrix = createCylinderMatrix(fromPos, toPos, part.radius * partScale, part.lengthScale);
             }
            
             // Type
@@ -625,86 +953,37 @@ export class WebGLRenderer {
             for (let j = 0; j < 16; j++) {
                 this.poseDataArray[offset + 1 + j] = matrix[j];
             }
-           
-            const matOffset = offset + 17;
-            // Ambient
-            this.poseDataArray[matOffset] = 0.2;
-            this.poseDataArray[matOffset + 1] = 0.2;
-            this.poseDataArray[matOffset + 2] = 0.2;
-           
-            // Diffuse color we set based on part type
-            let rgb;
-            if (part.type === 'head') {
-                rgb = [1.0, 1.0, 0.0]; // yellow
-            } else if (part.type === 'torso') {
-                rgb = [0.6, 0.6, 0.6]; // grey
-            } else if (part.type === 'joint') {
-                rgb = [1.0, 0.0, 0.0]; // red
-            } else { 
-                rgb = [0.0, 1.0, 1.0]; // cyan
-            }
-           
-            this.poseDataArray[matOffset + 3] = rgb[0];
-            this.poseDataArray[matOffset + 4] = rgb[1];
-            this.poseDataArray[matOffset + 5] = rgb[2];
-            // Specular
-            this.poseDataArray[matOffset + 6] = 0.5;
-            this.poseDataArray[matOffset + 7] = 0.5;
-            this.poseDataArray[matOffset + 8] = 0.5;
-            // Shininess
-            this.poseDataArray[matOffset + 9] = 30.0;
-            // IOR
-            this.poseDataArray[matOffset + 10] = 1.0;
-            // Texture map
-            this.poseDataArray[matOffset + 11] = 0.0;
-            this.poseDataArray[matOffset + 12] = 1.0;
-            this.poseDataArray[matOffset + 13] = 1.0;
-            this.poseDataArray[matOffset + 14] = 0.0;
-            // Reflective
-            this.poseDataArray[matOffset + 15] = 0.0;
-            this.poseDataArray[matOffset + 16] = 0.0;
-            this.poseDataArray[matOffset + 17] = 0.0;
-        }
-
-        // Finally, we update texture with new pose data using texSubImage2D
-        gl.bindTexture(gl.TEXTURE_2D, this.sceneTexture);
-        gl.texSubImage2D(
-            gl.TEXTURE_2D,
-            0,
-            0, // x offset
-            this.poseObjectStartIndex, // y offset is the row where pose objects start
-            this.texWidth, // width
-            this.poseObjectCount, // height is the number of pose objects
-            gl.RGBA,
-            gl.FLOAT,
-            this.poseDataArray
-        );
-        gl.bindTexture(gl.TEXTURE_2D, null);
+        }
     }
 
-    renderFrame() {
+    renderFrame(time) {
         const gl = this.gl;
         this.resizeCanvasToDisplaySize();
+        this.controls.update(time);
+        this.bodyCamera.update(this.lastPoseData);
         gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
         if (!this.sceneReady) {
-            this.statusElem.textContent = 'Waiting for scene to load...';
+            // a failed load leaves its error message up
+            if (this.sceneLoading || !this.sceneText) {
+                this.statusElem.textContent = 'Waiting for scene to load...';
+            }
             return;
         }
         
         // Update pose objects if we have new pose data
-        if (this.lastPoseData) {
-            this.updatePoseObjects(this.lastPoseData);
+        if (this.lastPoseData && this.lastPoseData !== this.appliedPoseData) {
+            if (this.updatePoseObjects(this.lastPoseData)) {
+                this.resetAccumulation();
+            }
+            this.appliedPoseData = this.lastPoseData;
         }
-        
-        this.statusElem.textContent = 'Rendering...';
-
-        // Use the ray tracing shader program
-        this.gl.useProgram(this.programs.rayTrace.program);
+        this.updateDynamicObjects(time);
 
-        const width = this.canvas.width;
-        const height = this.canvas.height;
-        const uResolutionLoc = this.programs.rayTrace.getUniformLocation('uResolution');
-        gl.uniform2f(uResolutionLoc, width, height);
+        // traced at the scaler's share of the canvas size
+        const width = Math.max(1, Math.round(this.canvas.width * this.resolutionScaler.scale));
+        const height = Math.max(1, Math.round(this.canvas.height * this.resolutionScaler.scale));
+        this.renderWidth = width;
+        this.renderHeight = height;
 
         // Camera
         this.camera.setScreenSize(this.canvas.width, this.canvas.height);
@@ -714,9 +993,47 @@ export class WebGLRenderer {
         mat4.invert(invMV, MV);
         const camPos = this.camera.getEyePoint();
 
+        // a moved camera, a resize or a changed setting starts a new average
+        const viewKey = [...invMV, ...camPos, width, height,
+            this.maxDepth, this.reflectionsEnabled, this.areaLightSamples, this.emissiveLighting].join(',');
+        if (viewKey !== this.lastViewKey) {
+            this.lastViewKey = viewKey;
+            this.resetAccumulation();
+        }
+        const accumulate = this.accumulation && this.floatTargets;
+        this.ensureAccumTargets(width, height);
+        if (!accumulate) {
+            this.sampleCount = 0;
+        } else if (this.sampleCount >= this.maxSamples) {
+            // converged, nothing to trace until something changes
+            this.statusElem.textContent = `Converged, ${this.sampleCount} samples`;
+            this.frameTimer.skip();
+            this.updateFrameStats(time, false);
+            this.displayAccumulation();
+            return;
+        }
+        this.statusElem.textContent = accumulate ? `Rendering... ${this.sampleCount + 1} / ${this.maxSamples} samples` : 'Rendering...';
+
+        // Use the ray tracing shader program
+        this.gl.useProgram(this.programs.rayTrace.program);
+
+        const uResolutionLoc = this.programs.rayTrace.getUniformLocation('uResolution');
+        gl.uniform2f(uResolutionLoc, width, height);
+
+        // the first sample of an average goes through the pixel center, the rest spread over the pixel
+        const jitter = this.sampleCount === 0 ? [0, 0]
+            : [halton(this.sampleCount, 2) - 0.5, halton(this.sampleCount, 3) - 0.5];
+        this.programs.rayTrace.setVector2('uJitter', jitter);
+        this.programs.rayTrace.setInteger('uSampleCount', this.sampleCount);
+
         this.programs.rayTrace.setVector3('uCameraPos', camPos);
         this.programs.rayTrace.setMatrix4('uCamWorldMatrix', invMV);
 
+        // Depth of field, aperture 0 is a pinhole camera
+        const cameraData = this.sceneParser.getCameraData();
+        this.programs.rayTrace.setFloat('uAperture', cameraData.aperture);
+        this.programs.rayTrace.setFloat('uFocalLength', cameraData.focalLength);
+
         // Global coefficients
         const globalData = this.sceneParser.getGlobalData();
         this.programs.rayTrace.setFloat('uGlobalKa', globalData.ka);
@@ -727,21 +1044,48 @@ export class WebGLRenderer {
         // Pass maximum recursion depth.
         gl.uniform1i(
             this.programs.rayTrace.getUniformLocation("uMaxDepth"),
-            this.maxDepth
+            this.reflectionsEnabled ? this.maxDepth : 1
         );
+        this.programs.rayTrace.setInteger('uAreaLightSamples', this.areaLightSamples);
+        this.programs.rayTrace.setInteger('uFrameIndex', this.frameIndex++);
 
-        // Bind each ppm texture into units 1 2 3 etc
-        this.textures.forEach((tex, i) => {
-            gl.activeTexture(gl.TEXTURE1 + i);
-            gl.bindTexture(gl.TEXTURE_2D, tex);
-            this.programs.rayTrace.setInteger(`uTextures[${i}]`, 1 + i);
+        // Emissive objects used as lights
+        const emissiveCount = this.emissiveLighting ? this.emissiveObjects.length : 0;
+        this.programs.rayTrace.setInteger('uEmissiveCount', emissiveCount);
+        this.emissiveObjects.forEach((row, i) => {
+            this.programs.rayTrace.setInteger(`uEmissiveObjects[${i}]`, row);
         });
 
+        // Scene textures, the array in unit 1
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.textureArray.tex);
+        this.programs.rayTrace.setInteger('uTextures', 1);
+
         // Scene Texture
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, this.sceneTexture);
         gl.uniform1i(this.programs.rayTrace.getUniformLocation('uSceneBuffer'), 0);
 
+        // Mesh Texture
+        const meshUnit = 9;
+        gl.activeTexture(gl.TEXTURE0 + meshUnit);
+        gl.bindTexture(gl.TEXTURE_2D, this.meshTexture);
+        this.programs.rayTrace.setInteger('uMeshBuffer', meshUnit);
+        this.programs.rayTrace.setInteger('uMeshTexWidth', DATA_TEX_WIDTH);
+        const meshBVHUnit = 11;
+        gl.activeTexture(gl.TEXTURE0 + meshBVHUnit);
+        gl.bindTexture(gl.TEXTURE_2D, this.meshBVHTexture);
+        this.programs.rayTrace.setInteger('uMeshBVHBuffer', meshBVHUnit);
+
+        // BVH Texture
+        const bvhUnit = 10;
+        gl.activeTexture(gl.TEXTURE0 + bvhUnit);
+        gl.bindTexture(gl.TEXTURE_2D, this.bvhTexture);
+        this.programs.rayTrace.setInteger('uBVHBuffer', bvhUnit);
+        this.programs.rayTrace.setInteger('uBVHTexWidth', DATA_TEX_WIDTH);
+        this.programs.rayTrace.setInteger('uBVHNodeCount', this.bvhNodeCount);
+        gl.activeTexture(gl.TEXTURE0);
+
         // Scene metadata
         this.programs.rayTrace.setInteger('uObjectCount', this.objectCount);
         this.programs.rayTrace.setInteger('uFloatsPerRow', this.floatsPerRow);
@@ -763,6 +1107,7 @@ export class WebGLRenderer {
             this.programs.rayTrace.setFloat(`uLightAngle[${i}]`, L.angle);
             this.programs.rayTrace.setFloat(`uLightWidth[${i}]`, L.width);
             this.programs.rayTrace.setFloat(`uLightHeight[${i}]`, L.height);
+            this.programs.rayTrace.setVector3(`uLightFunction[${i}]`, L.function);
         }
 
         if (!this.uniformsLogged) {
@@ -770,10 +1115,54 @@ export class WebGLRenderer {
             this.uniformsLogged = true;
         }
 
+        // Accumulation buffer of the previous frames, traced into the other one
+        const accumUnit = 3;
+        gl.activeTexture(gl.TEXTURE0 + accumUnit);
+        gl.bindTexture(gl.TEXTURE_2D, this.accumTargets[0].texture);
+        this.programs.rayTrace.setInteger('uAccumBuffer', accumUnit);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.accumTargets[1].framebuffer);
+        gl.viewport(0, 0, width, height);
+
         // Draw the full-screen triangle
+        this.frameTimer.begin();
         gl.bindVertexArray(this.fullScreenVAO);
         gl.drawArrays(gl.TRIANGLES, 0, 3);
         gl.bindVertexArray(null);
+        this.frameTimer.end();
         gl.bindTexture(gl.TEXTURE_2D, null);
+
+        // the buffer just written holds the new average
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        this.accumTargets.reverse();
+        this.sampleCount++;
+        this.displayAccumulation();
+
+        // a still view refines at the resolution it has, changing it would throw the average away
+        const frameMs = this.frameTimer.poll(time);
+        if (frameMs !== null && this.sampleCount <= 1) {
+            this.resolutionScaler.update(frameMs, time);
+        }
+        this.updateFrameStats(time, true);
+    }
+
+    // fps, render size and frame time readout, a few times a second
+    updateFrameStats(time, traced) {
+        const stats = this.frameStats;
+        if (traced) stats.frames++;
+        if (stats.since === null) {
+            stats.since = time;
+            return;
+        }
+        if (time - stats.since < 500 || !this.frameStatsElem) {
+            return;
+        }
+        const fps = 1000 * stats.frames / (time - stats.since);
+        const scaler = this.resolutionScaler;
+        const frameMs = scaler.frameMs === null ? '-' : scaler.frameMs.toFixed(1);
+        this.frameStatsElem.innerText = `${fps.toFixed(0)} fps, ${this.renderWidth}×${this.renderHeight}`
+            + ` (${Math.round(scaler.scale * 100)}%), ${this.frameTimer.isGpuTimer() ? 'GPU' : 'frame'} ${frameMs} ms`;
+        stats.since = time;
+        stats.frames = 0;
     }
 }
\ No newline at end of file
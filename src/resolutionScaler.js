@@ -0,0 +1,118 @@
+// resolutionScaler.js: renders fewer pixels when the ray tracer can't keep up with the target frame rate
+//
+// The renderer traces into a framebuffer of scale * the canvas size and upscales it to the canvas
+// (display.frag). ResolutionScaler picks that scale from measured frame times:
+//   - FrameTimer measures how long the trace takes on the GPU (EXT_disjoint_timer_query_webgl2),
+//     results arrive a few frames late; without the extension it falls back to the time
+//     between traced frames on the CPU, which includes waiting for vsync
+//   - ResolutionScaler.update(frameMs) moves the scale toward the target, at most every
+//     ADJUST_INTERVAL and with some slack so it settles instead of hunting
+// Trace time grows with the pixel count, so the scale (per side) follows the square root of the ratio.
+
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 1.0;
+const ADJUST_INTERVAL = 500;  // ms between scale changes, each one restarts the accumulated average
+const SMOOTHING = 0.1;        // weight of a new sample in the frame time average
+const SLOWER_SLACK = 1.1;     // frames may run 10% over budget before the scale goes down
+const FASTER_SLACK = 0.75;    // and must run 25% under it before the scale goes up
+const MAX_STEP = 0.15;        // largest scale change at once
+const MAX_PENDING_QUERIES = 4;
+
+export class FrameTimer {
+    constructor(gl) {
+        this.gl = gl;
+        this.ext = gl.getExtension('EXT_disjoint_timer_query_webgl2');
+        this.pending = [];       // queries waiting for their result, oldest first
+        this.active = null;      // query between begin() and end()
+        this.lastCpuTime = null; // time of the previous traced frame, CPU fallback
+    }
+
+    isGpuTimer() {
+        return !!this.ext;
+    }
+
+    // around the work to time, once per frame
+    begin() {
+        if (!this.ext || this.pending.length >= MAX_PENDING_QUERIES) return;
+        this.active = this.gl.createQuery();
+        this.gl.beginQuery(this.ext.TIME_ELAPSED_EXT, this.active);
+    }
+
+    end() {
+        if (!this.active) return;
+        this.gl.endQuery(this.ext.TIME_ELAPSED_EXT);
+        this.pending.push(this.active);
+        this.active = null;
+    }
+
+    /**
+     * Newest frame time in ms that became known since the last call, null if none did
+     * @param {number} time - requestAnimationFrame time of this frame, for the CPU fallback
+     */
+    poll(time) {
+        if (!this.ext) {
+            const frameMs = this.lastCpuTime === null ? null : time - this.lastCpuTime;
+            this.lastCpuTime = time;
+            return frameMs;
+        }
+        const gl = this.gl;
+        // a disjoint operation (e.g. a clock change) makes every pending result meaningless
+        const disjoint = gl.getParameter(this.ext.GPU_DISJOINT_EXT);
+        let frameMs = null;
+        while (this.pending.length > 0 && gl.getQueryParameter(this.pending[0], gl.QUERY_RESULT_AVAILABLE)) {
+            const query = this.pending.shift();
+            if (!disjoint) {
+                frameMs = gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6; // ns
+            }
+            gl.deleteQuery(query);
+        }
+        return frameMs;
+    }
+
+    // frames that were not traced do not count toward the CPU fallback's interval
+    skip() {
+        this.lastCpuTime = null;
+    }
+}
+
+export class ResolutionScaler {
+    constructor() {
+        this.enabled = true;
+        this.targetFps = 30;
+        this.scale = MAX_SCALE;
+        this.frameMs = null;        // smoothed frame time
+        this.lastAdjustTime = 0;
+    }
+
+    setTargetFps(fps) {
+        this.targetFps = fps;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.scale = MAX_SCALE;
+    }
+
+    /**
+     * Feed one measured frame time, returns the scale to render the next frames at
+     */
+    update(frameMs, time) {
+        this.frameMs = this.frameMs === null ? frameMs : this.frameMs + SMOOTHING * (frameMs - this.frameMs);
+        if (!this.enabled || time - this.lastAdjustTime < ADJUST_INTERVAL) {
+            return this.scale;
+        }
+        const budget = 1000 / this.targetFps;
+        if (this.frameMs > budget * SLOWER_SLACK || (this.frameMs < budget * FASTER_SLACK && this.scale < MAX_SCALE)) {
+            const wanted = this.scale * Math.sqrt(budget / this.frameMs);
+            const step = Math.max(-MAX_STEP, Math.min(MAX_STEP, wanted - this.scale));
+            const scale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, this.scale + step));
+            if (scale !== this.scale) {
+                // the new resolution's frame time is only a guess until measured
+                this.frameMs *= (scale / this.scale) ** 2;
+                this.scale = scale;
+                this.lastAdjustTime = time;
+            }
+        }
+        return this.scale;
+    }
+}
@@ -0,0 +1,165 @@
+// sceneBundle.js: a scene file uploaded together with the meshes, textures and rig files it references
+//
+// A bundle comes from a folder upload, several files picked at once, or a .zip (stored or deflated
+// entries, no zip64). Names the scene file uses are looked up relative to the scene file's folder
+// first, then relative to the bundle's root, then by file name alone when only one file has it,
+// so scenes written for the web server usually work unchanged.
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+
+// "./a/../b\\c.ppm" -> "b/c.ppm"
+function normalizePath(path) {
+    const parts = [];
+    for (const part of path.replace(/\\/g, '/').split('/')) {
+        if (part === '' || part === '.') continue;
+        if (part === '..') parts.pop();
+        else parts.push(part);
+    }
+    return parts.join('/');
+}
+
+function directoryOf(path) {
+    const slash = path.lastIndexOf('/');
+    return slash < 0 ? '' : path.slice(0, slash + 1);
+}
+
+function baseName(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+}
+
+async function inflate(bytes, method, name) {
+    if (method === 0) {
+        return bytes;
+    }
+    if (method !== 8) {
+        throw new Error(`${name} in the zip uses unsupported compression method ${method}`);
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// path -> Blob for every file in a zip archive
+async function readZip(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    // the end of central directory record sits in the last 64k + 22 bytes, behind an optional comment
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === ZIP_END_OF_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('Not a zip file');
+    }
+    const entryCount = view.getUint16(end + 10, true);
+    let pos = view.getUint32(end + 16, true);
+    if (pos === 0xffffffff) {
+        throw new Error('zip64 archives are not supported');
+    }
+
+    const decoder = new TextDecoder();
+    const files = new Map();
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(pos, true) !== ZIP_CENTRAL_HEADER) {
+            throw new Error('Corrupt zip central directory');
+        }
+        const method = view.getUint16(pos + 10, true);
+        const compressedSize = view.getUint32(pos + 20, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        const localOffset = view.getUint32(pos + 42, true);
+        const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+        pos += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue;
+        if (view.getUint32(localOffset, true) !== ZIP_LOCAL_HEADER) {
+            throw new Error(`Corrupt zip entry ${name}`);
+        }
+        // the local header's name and extra field may differ in length from the central directory's
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = await inflate(bytes.subarray(dataStart, dataStart + compressedSize), method, name);
+        files.set(normalizePath(name), new Blob([data]));
+    }
+    return files;
+}
+
+export class SceneBundle {
+    constructor(files) {
+        this.files = files; // normalized path -> Blob
+        const scenes = [...files.keys()].filter(path => path.toLowerCase().endsWith('.xml'));
+        if (scenes.length === 0) {
+            throw new Error('No .xml scene file in the upload');
+        }
+        // the shallowest scene file, alphabetically among equals
+        scenes.sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+        if (scenes.length > 1) {
+            console.warn(`Several scene files uploaded, using ${scenes[0]}`);
+        }
+        this.scenePath = scenes[0];
+        this.sceneDirectory = directoryOf(this.scenePath);
+    }
+
+    /**
+     * Bundle from the files of an <input type="file">, a folder (webkitdirectory), several files or one .zip
+     */
+    static async fromFiles(fileList) {
+        const list = [...fileList];
+        const files = new Map();
+        for (const file of list) {
+            if (file.name.toLowerCase().endsWith('.zip')) {
+                for (const [path, blob] of await readZip(await file.arrayBuffer())) {
+                    files.set(path, blob);
+                }
+            } else {
+                files.set(normalizePath(file.webkitRelativePath || file.name), file);
+            }
+        }
+        return new SceneBundle(files);
+    }
+
+    getSceneName() {
+        return this.scenePath;
+    }
+
+    getSceneText() {
+        return this.files.get(this.scenePath).text();
+    }
+
+    // bundle path for a name used in the scene file, null if the bundle doesn't have it
+    resolve(name) {
+        const path = normalizePath(name);
+        const candidates = [normalizePath(this.sceneDirectory + path), path];
+        for (const candidate of candidates) {
+            if (this.files.has(candidate)) return candidate;
+        }
+        const sameName = [...this.files.keys()].filter(key => baseName(key) === baseName(path));
+        return sameName.length === 1 ? sameName[0] : null;
+    }
+
+    /**
+     * Throw one error naming every referenced file the bundle lacks
+     */
+    requireFiles(names) {
+        const missing = [...new Set(names)].filter(name => this.resolve(name) === null);
+        if (missing.length > 0) {
+            throw new Error(`${this.scenePath} references files missing from the upload: ${missing.join(', ')}`);
+        }
+    }
+
+    /**
+     * fetch() for the bundle: a Response with the file's contents
+     */
+    async fetch(name) {
+        const path = this.resolve(name);
+        if (path === null) {
+            throw new Error(`${this.scenePath} references ${name}, which is missing from the upload`);
+        }
+        return new Response(this.files.get(path));
+    }
+}
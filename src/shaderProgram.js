@@ -104,6 +104,13 @@ export class ShaderProgram {
         }
     }
 
+    setVector2(name, vector) {
+        const location = this.getUniformLocation(name);
+        if (location) {
+            this.gl.uniform2fv(location, vector);
+        }
+    }
+
     setVector3(name, vector) {
         // uniform name in the shader (e.g., "u_lightDirectionEye")
         const location = this.getUniformLocation(name);
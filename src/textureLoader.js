@@ -0,0 +1,159 @@
+import { parsePPM } from './ppm.js';
+
+// textureLoader.js: scene textures from PPM (P2 / P3 / P5 / P6), PNG or JPEG files
+//
+// Every loader ends in createTexture(), so callers get the same { tex, width, height }
+// whatever the file was. The format is told by the file's first bytes, not its name.
+// createTextureArray() then packs them into the one sampler2DArray the ray tracer samples.
+// Every layer of that array has the same size, so it costs layers * width * height * 4 bytes:
+// 30 layers of 2048 x 2048 are about 500 MB of GPU memory.
+// The layer size follows the median texture, so one big texture does not blow up all the others.
+
+// largest side of a texture array layer, bigger textures are scaled down to it
+const MAX_LAYER_SIZE = 2048;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[sorted.length >> 1];
+}
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47];
+const JPEG_SIGNATURE = [0xff, 0xd8, 0xff];
+
+function startsWith(bytes, signature) {
+    return signature.every((b, i) => bytes[i] === b);
+}
+
+function isPPM(bytes) {
+    return bytes[0] === 0x50 && [0x32, 0x33, 0x35, 0x36].includes(bytes[1]); // P2, P3, P5, P6
+}
+
+// upload pixels (RGB bytes or an ImageBitmap) as a texture, mipmapped and repeating when both sides are powers of two
+export function createTexture(gl, width, height, pixels) {
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    if (pixels instanceof Uint8Array) {
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB8, width, height, 0, gl.RGB, gl.UNSIGNED_BYTE, pixels);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+    } else {
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    }
+
+    // POT vs NPOT
+    const isPow2 = v => (v & (v - 1)) === 0;
+    if (isPow2(width) && isPow2(height)) {
+        gl.generateMipmap(gl.TEXTURE_2D);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+    } else {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    }
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return { tex, width, height };
+}
+
+// PPM bytes, parsed here
+export function loadPPMTexture(gl, buffer) {
+    const { data, width, height } = parsePPM(new Uint8Array(buffer));
+    return createTexture(gl, width, height, data);
+}
+
+// PNG / JPEG (or anything else the browser decodes), decoded by the browser, top row first like a PPM
+export async function loadImageTexture(gl, blob) {
+    const bitmap = await createImageBitmap(blob, {
+        imageOrientation: 'from-image',
+        premultiplyAlpha: 'none',
+        colorSpaceConversion: 'none'
+    });
+    try {
+        return createTexture(gl, bitmap.width, bitmap.height, bitmap);
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Texture from a file's contents, PPM or an image format told apart by its first bytes,
+ * { tex, width, height, name } with the name kept for warnings
+ */
+export async function loadTextureFromBuffer(gl, buffer, name = 'texture') {
+    const bytes = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+    if (isPPM(bytes)) {
+        return { ...loadPPMTexture(gl, buffer), name };
+    }
+    if (!startsWith(bytes, PNG_SIGNATURE) && !startsWith(bytes, JPEG_SIGNATURE)) {
+        console.warn(`${name} is neither PPM, PNG nor JPEG, trying the browser's decoder`);
+    }
+    try {
+        return { ...await loadImageTexture(gl, new Blob([buffer])), name };
+    } catch (e) {
+        throw new Error(`Could not decode texture ${name}`);
+    }
+}
+
+/**
+ * Pack textures into a TEXTURE_2D_ARRAY, one layer each, every texture stretched to the median
+ * width and height so uv [0, 1] covers it whatever its size; larger ones lose detail (with a warning),
+ * smaller ones are scaled up. Per texel work like bump maps steps by the layer size.
+ * Repeating and without mipmaps (the ray tracer samples level 0), the source textures are left alone.
+ * @param {Object[]} textures - { tex, width, height, name } from the loaders above
+ * @returns {Object} { tex, width, height, layers }
+ */
+export function createTextureArray(gl, textures) {
+    const maxSize = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), MAX_LAYER_SIZE);
+    const maxLayers = gl.getParameter(gl.MAX_ARRAY_TEXTURE_LAYERS);
+    if (textures.length > maxLayers) {
+        console.warn(`${textures.length} textures, only the first ${maxLayers} fit the texture array`);
+        textures = textures.slice(0, maxLayers);
+    }
+    // an empty scene still gets a 1 x 1 layer so the sampler is complete
+    const width = textures.length === 0 ? 1 : Math.min(maxSize, median(textures.map(t => t.width)));
+    const height = textures.length === 0 ? 1 : Math.min(maxSize, median(textures.map(t => t.height)));
+    const layers = Math.max(1, textures.length);
+    textures.forEach((t, layer) => {
+        if (t.width > width || t.height > height) {
+            console.warn(`${t.name || `Texture ${layer}`} (${t.width} x ${t.height}) is scaled down to the ${width} x ${height} texture array layers`);
+        }
+    });
+
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, tex);
+    gl.texStorage3D(gl.TEXTURE_2D_ARRAY, 1, gl.RGBA8, width, height, layers);
+
+    // blit each texture into its layer, scaling on the GPU
+    const readFramebuffer = gl.createFramebuffer();
+    const drawFramebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, readFramebuffer);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, drawFramebuffer);
+    textures.forEach((t, layer) => {
+        gl.framebufferTexture2D(gl.READ_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, t.tex, 0);
+        gl.framebufferTextureLayer(gl.DRAW_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, tex, 0, layer);
+        gl.blitFramebuffer(0, 0, t.width, t.height, 0, 0, width, height, gl.COLOR_BUFFER_BIT, gl.LINEAR);
+    });
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+    gl.deleteFramebuffer(readFramebuffer);
+    gl.deleteFramebuffer(drawFramebuffer);
+
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, null);
+
+    return { tex, width, height, layers };
+}
+
+/**
+ * Fetch and load a texture file, fetchFile may stand in for fetch() (see SceneBundle)
+ */
+export async function loadTexture(gl, url, fetchFile = fetch) {
+    const response = await fetchFile(url);
+    if (!response.ok) throw new Error(`Could not load texture ${url} (${response.status})`);
+    return loadTextureFromBuffer(gl, await response.arrayBuffer(), url);
+}